@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+// Command-line entry point for headless batch runs (task scheduler, terminal sessions).
+// Runs a fleet file through the same pipeline as the web UI and copies the result workbook to --output.
+const path = require('path');
+const fs = require('fs');
+const { createJobId } = require('./lib/jobStore');
+
+// Exit codes scripts can act on
+const EXIT_CODES = {
+  SUCCESS: 0,           // Every VIN and recall was looked up
+  FAILED: 1,            // The run failed or was stopped early (a partial workbook may still be written)
+  USAGE: 2,             // Bad arguments or missing input file
+  LOOKUP_FAILURES: 3,   // Workbook written, but some Ford/DocSearch lookups failed (see the Scrape Errors sheet)
+  NO_VINS: 4,           // No VIN numbers found in the input file
+  INTERRUPTED: 130      // Cancelled with Ctrl+C
+};
+
+const USAGE = `Usage: node cli.js <input file> [options]
+
+Options:
+  -c, --column <auto|A|B|...>   Column holding the VINs (default: auto-detect "SERIAL NO"/"VIN")
+  -o, --output <path>           Where to write the result workbook
+                                (default: <input name>_recalls.xlsx next to the input file)
+      --ford-only               Look up Ford recalls only, skip DocSearch
+      --docsearch-only          Only refresh DocSearch EAs; Ford results come from the cache
+      --no-cache                Ignore cached Ford and DocSearch results (force refresh)
+      --requested-by <name>     Name shown in the run history (default: CLI)
+      --trace-all               Debug mode: save a screenshot, HTML and trace for every lookup
+  -v, --verbose                 Print the full scraper log instead of progress lines only
+  -h, --help                    Show this help
+
+Exit codes:
+  0  success             1  run failed or stopped early     2  usage error
+  3  some lookups failed 4  no VINs found in the file       130  cancelled (Ctrl+C)`;
+
+function parseArgs(argv) {
+  const options = {
+    inputFile: null,
+    column: 'auto',
+    output: null,
+    sources: 'all',
+    forceRefresh: false,
+    requestedBy: 'CLI',
+    traceAll: false,
+    verbose: false,
+    help: false
+  };
+
+  const valueOf = (flag, index) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('-')) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-c':
+      case '--column':
+        options.column = valueOf(arg, i++);
+        break;
+      case '-o':
+      case '--output':
+        options.output = valueOf(arg, i++);
+        break;
+      case '--ford-only':
+        options.sources = 'ford';
+        break;
+      case '--docsearch-only':
+        options.sources = 'docsearch';
+        break;
+      case '--no-cache':
+        options.forceRefresh = true;
+        break;
+      case '--requested-by':
+        options.requestedBy = valueOf(arg, i++);
+        break;
+      case '--trace-all':
+        options.traceAll = true;
+        break;
+      case '-v':
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) {
+          throw new Error(`Unknown option: ${arg}`);
+        }
+        if (options.inputFile) {
+          throw new Error(`Only one input file can be processed per run (got "${options.inputFile}" and "${arg}")`);
+        }
+        options.inputFile = arg;
+    }
+  }
+
+  if (argv.includes('--ford-only') && argv.includes('--docsearch-only')) {
+    throw new Error('--ford-only and --docsearch-only cannot be combined');
+  }
+  if (options.column !== 'auto' && !/^[A-Z]$/i.test(options.column)) {
+    throw new Error(`Invalid column "${options.column}" (use auto or a column letter such as A)`);
+  }
+  options.column = options.column === 'auto' ? 'auto' : options.column.toUpperCase();
+  return options;
+}
+
+// Count failed Ford lookups and failed DocSearch searches in a run's results
+// (VINs of unsupported makes were never looked up and don't count)
+function countFailures(scrapedData) {
+  const failedRecalls = new Set();
+  let failedVins = 0;
+
+  scrapedData.forEach(item => {
+    if (item.unsupportedMake) {
+      return;
+    }
+    if (!item.fordData || item.fordData.success === false) {
+      failedVins++;
+    }
+    Object.entries(item.docsearchDataByRecall || {}).forEach(([recallNumber, docsearchData]) => {
+      if (docsearchData && docsearchData.success === false) {
+        failedRecalls.add(recallNumber);
+      }
+    });
+  });
+
+  return { failedVins, failedRecalls: failedRecalls.size };
+}
+
+// The pipeline module, once loaded (webhooks and digest emails may still be sending when the run ends)
+let pipeline = null;
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+  if (!options.inputFile) {
+    console.error(`Error: no input file given\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const inputPath = path.resolve(options.inputFile);
+  if (!fs.existsSync(inputPath)) {
+    console.error(`Error: input file not found: ${inputPath}`);
+    return EXIT_CODES.USAGE;
+  }
+  const outputPath = path.resolve(options.output || path.join(
+    path.dirname(inputPath),
+    `${path.basename(inputPath, path.extname(inputPath))}_recalls.xlsx`
+  ));
+
+  // The pipeline logs every step; keep the terminal to progress lines unless --verbose
+  const log = console.log.bind(console);
+  if (!options.verbose) {
+    console.log = () => {};
+  }
+
+  // Paths inside the pipeline (uploads/, downloads/) are relative to the project folder
+  process.chdir(__dirname);
+  pipeline = require('./server');
+  const { processExcelFile, progressHub, runningJobs, jobStore, recordRun, RUN_SOURCES } = pipeline;
+
+  const sessionId = createJobId();
+  let lastMessage = null;
+  progressHub.listen(sessionId, event => {
+    if (!event.message || event.message === lastMessage) return;
+    lastMessage = event.message;
+    const percent = typeof event.progress === 'number' ? `[${String(event.progress).padStart(3)}%] ` : '';
+    log(`${percent}${event.message}`);
+  });
+
+  // Exiting without waiting for the cancel: mark the job cancelled so a server sharing DATA_DIR doesn't resume it
+  const exitInterrupted = () => {
+    const running = runningJobs.get(sessionId);
+    const job = running ? running.job : jobStore.get(sessionId);
+    if (job && ['queued', 'running', 'paused'].includes(job.status)) {
+      jobStore.update(job, { status: 'cancelled', error: null });
+      recordRun(job);
+    }
+    process.exit(EXIT_CODES.INTERRUPTED);
+  };
+
+  // First Ctrl+C cancels the job cleanly (closing the browsers), a second one exits at once
+  let interrupted = false;
+  process.on('SIGINT', () => {
+    if (interrupted) {
+      exitInterrupted();
+    }
+    interrupted = true;
+    log('\nCancelling... (press Ctrl+C again to exit immediately)');
+    const running = runningJobs.get(sessionId);
+    if (running) {
+      running.control.cancel();
+    } else {
+      exitInterrupted();
+    }
+  });
+
+  log(`Processing ${inputPath} (${RUN_SOURCES[options.sources]}${options.forceRefresh ? ', ignoring cache' : ''})`);
+
+  let result;
+  try {
+    result = await processExcelFile(inputPath, path.basename(inputPath), options.column, sessionId, {
+      requestedBy: options.requestedBy,
+      forceRefresh: options.forceRefresh,
+      traceAll: options.traceAll,
+      sources: options.sources
+    });
+  } catch (error) {
+    if (error.name === 'JobCancelledError') {
+      log('Run cancelled.');
+      return EXIT_CODES.INTERRUPTED;
+    }
+
+    console.error(`Error: ${error.message}`);
+
+    // A run stopped early by the circuit breaker still leaves a partial workbook
+    const job = jobStore.get(sessionId);
+    if (job && job.outputFile) {
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.copyFileSync(path.join(__dirname, 'downloads', job.outputFile), outputPath);
+      log(`Partial results written to ${outputPath}`);
+    }
+    return EXIT_CODES.FAILED;
+  }
+
+  if (!result.jobId) {
+    console.error(result.message);
+    return EXIT_CODES.NO_VINS;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.copyFileSync(path.join(__dirname, 'downloads', result.downloadFile), outputPath);
+
+  const { failedVins, failedRecalls } = countFailures(result.scrapedData);
+  log(`\n${result.vinCount} VIN(s) processed. Results written to ${outputPath}`);
+  if (failedVins > 0 || failedRecalls > 0) {
+    log(`${failedVins} Ford lookup(s) and ${failedRecalls} DocSearch search(es) failed - see the "Scrape Errors" sheet`);
+    return EXIT_CODES.LOOKUP_FAILURES;
+  }
+  return EXIT_CODES.SUCCESS;
+}
+
+main()
+  .then(async code => {
+    if (pipeline) {
+      await pipeline.waitForNotifications();
+    }
+    process.exit(code);
+  })
+  .catch(error => {
+    console.error('Unexpected error:', error);
+    process.exit(EXIT_CODES.FAILED);
+  });
@@ -0,0 +1,76 @@
+// Errors that mean the page no longer looks the way the scraper expects (markup changed), not that one VIN failed
+const STRUCTURAL_ERROR_PATTERNS = [
+    /Could not find VIN input field/i,
+    /Could not find Search button/i
+];
+
+class SiteChangedError extends Error {
+    constructor(diagnosis) {
+        super(diagnosis.message);
+        this.name = 'SiteChangedError';
+        this.diagnosis = diagnosis;
+    }
+}
+
+// Trips after `threshold` structural failures in a row so a run stops instead of failing every remaining VIN
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.site = options.site || 'site';
+        this.threshold = Math.max(0, parseInt(options.threshold, 10) || 0); // 0 disables the breaker
+        this.patterns = options.patterns || STRUCTURAL_ERROR_PATTERNS;
+        this.streak = []; // Consecutive structural failures: { vin, error, at }
+        this.diagnosis = null; // Set once the breaker has tripped
+    }
+
+    isStructuralError(message) {
+        return this.patterns.some(pattern => pattern.test(message || ''));
+    }
+
+    isOpen() {
+        return this.diagnosis !== null;
+    }
+
+    recordSuccess() {
+        this.streak = [];
+    }
+
+    // Record a failed item; returns true if this failure tripped the breaker
+    recordFailure(item, message) {
+        if (this.threshold === 0 || this.isOpen()) {
+            return false;
+        }
+
+        if (!this.isStructuralError(message)) {
+            // Ordinary failures (bad VIN, timeout) neither extend nor reset the streak
+            return false;
+        }
+
+        this.streak.push({ item, error: message, at: new Date().toISOString() });
+        if (this.streak.length < this.threshold) {
+            return false;
+        }
+
+        const errors = [...new Set(this.streak.map(failure => failure.error))];
+        this.diagnosis = {
+            site: this.site,
+            failureCount: this.streak.length,
+            items: this.streak.map(failure => failure.item),
+            errors,
+            trippedAt: new Date().toISOString(),
+            message: `${this.site} appears to have changed its page layout: the last ${this.streak.length} lookups failed with "${errors.join('", "')}". ` +
+                'The run was stopped early; results gathered so far were kept. The scraper selectors probably need updating.'
+        };
+        return true;
+    }
+
+    // Throws SiteChangedError once the breaker has tripped
+    check() {
+        if (this.isOpen()) {
+            throw new SiteChangedError(this.diagnosis);
+        }
+    }
+}
+
+module.exports = CircuitBreaker;
+module.exports.SiteChangedError = SiteChangedError;
+module.exports.STRUCTURAL_ERROR_PATTERNS = STRUCTURAL_ERROR_PATTERNS;
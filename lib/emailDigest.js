@@ -0,0 +1,219 @@
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const NO_STATION = '(No station)';
+
+// Sheets counted in the digest, in workbook order
+const DIGEST_SHEETS = [
+    { key: 'needsEARecalls', label: 'Needs EA (Recalls)' },
+    { key: 'needsEASatisfaction', label: 'Needs EA (Satisfaction)' },
+    { key: 'needsWO', label: 'Needs WO' },
+    { key: 'invalidVins', label: 'Invalid VINs' }
+];
+
+// Emails a summary of each finished run over SMTP: vehicle counts per sheet, a per-station breakdown
+// and the workbook attached. The main recipients get every station; recipients configured for a
+// station get a digest of that station only, with a workbook of just that station's vehicles attached
+// (run.createStationWorkbook builds it). Stations with no vehicles in the run get no email.
+class EmailDigest {
+    constructor(options = {}) {
+        this.from = options.from || options.user || 'vin-recall-scraper@localhost';
+        this.recipients = parseAddresses(options.to);
+        this.stationRecipients = parseStationRecipients(options.stationRecipients);
+        this.transport = options.host ? nodemailer.createTransport({
+            host: options.host,
+            port: parseInt(options.port, 10) || 587,
+            secure: String(options.secure).toLowerCase() === 'true', // true = TLS from the start (port 465)
+            auth: options.user ? { user: options.user, pass: options.pass || '' } : undefined
+        }) : null;
+    }
+
+    isEnabled() {
+        return Boolean(this.transport) && (this.recipients.length > 0 || this.stationRecipients.size > 0);
+    }
+
+    // Send the digest for a run to everyone who should get it; resolves with one result per email
+    async sendRunDigest(run) {
+        if (!this.isEnabled()) {
+            return [];
+        }
+
+        const summary = run.summary || {};
+        const vehiclesByStation = summary.vehiclesByStation;
+        const stationNames = Object.keys(vehiclesByStation || summary.byStation || {});
+        const emails = [];
+        if (this.recipients.length > 0) {
+            emails.push({ to: this.recipients, station: null });
+        }
+        this.stationRecipients.forEach((to, stationKey) => {
+            const station = stationNames.find(name => name.toUpperCase() === stationKey);
+            if (vehiclesByStation && !station) {
+                console.log(`📧 No ${stationKey} vehicles in this run - not sending its digest`);
+                return;
+            }
+            emails.push({ to, station: station || stationKey });
+        });
+
+        const results = [];
+        for (const email of emails) {
+            results.push(await this.sendDigest(run, email.to, email.station));
+        }
+        return results;
+    }
+
+    async sendDigest(run, to, station) {
+        const attachment = await this.getAttachment(run, station);
+        const content = buildDigest(run, station, Boolean(attachment));
+        try {
+            await this.transport.sendMail({
+                from: this.from,
+                to: to.join(', '),
+                subject: content.subject,
+                text: content.text,
+                html: content.html,
+                attachments: attachment ? [attachment] : []
+            });
+            console.log(`📧 Run digest${station ? ` for ${station}` : ''} sent to ${to.join(', ')}`);
+            return { to, station, sent: true };
+        } catch (error) {
+            console.error(`❌ Error emailing run digest${station ? ` for ${station}` : ''} to ${to.join(', ')}:`, error.message);
+            return { to, station, sent: false, error: error.message };
+        }
+    }
+
+    // The run's workbook, or for a station digest a workbook of that station's vehicles (null = nothing to attach)
+    async getAttachment(run, station) {
+        if (!run.workbookPath) {
+            return null;
+        }
+        if (!station) {
+            return { filename: path.basename(run.workbookPath), path: run.workbookPath };
+        }
+        if (!run.createStationWorkbook) {
+            return null;
+        }
+
+        try {
+            const baseName = path.basename(run.workbookPath, path.extname(run.workbookPath));
+            return {
+                filename: `${baseName}_${station.replace(/[^A-Za-z0-9-]+/g, '_')}.xlsx`,
+                content: await run.createStationWorkbook(station)
+            };
+        } catch (error) {
+            console.error(`❌ Error creating the ${station} workbook for the run digest:`, error.message);
+            return null;
+        }
+    }
+}
+
+// Subject, plain-text and HTML body of a digest (station = null for the all-stations digest)
+function buildDigest(run, station, attached = false) {
+    const summary = run.summary || {};
+    const byStation = summary.byStation || {};
+    const emptyCounts = { needsEARecalls: 0, needsEASatisfaction: 0, needsWO: 0, invalidVins: 0 };
+
+    // Vehicle counts per sheet, for the whole run or the one station
+    const counts = station
+        ? { ...emptyCounts, ...(byStation[station] || {}) }
+        : {
+            needsEARecalls: (summary.needsEARecalls || {}).vehicles || 0,
+            needsEASatisfaction: (summary.needsEASatisfaction || {}).vehicles || 0,
+            needsWO: (summary.needsWO || {}).vehicles || 0,
+            invalidVins: summary.invalidVins || 0
+        };
+    const stations = station ? [station] : Object.keys(byStation).sort((a, b) => {
+        if (a === NO_STATION) return 1;
+        if (b === NO_STATION) return -1;
+        return a.localeCompare(b);
+    });
+
+    const stoppedEarly = run.status === 'failed';
+    const subject = `Recall scan${station ? ` (${station})` : ''}: ${counts.needsEARecalls + counts.needsEASatisfaction} need EA, ` +
+        `${counts.needsWO} need WO - ${run.fileName}${stoppedEarly ? ' [partial]' : ''}`;
+
+    const details = [
+        ['File', run.fileName],
+        ['Requested by', run.requestedBy || ''],
+        ['Finished', run.completedAt ? new Date(run.completedAt).toLocaleString() : ''],
+        ['VINs checked', String(summary.vinCount || 0)],
+        ...(station ? [['Station', station]] : [])
+    ];
+    const sheetRows = DIGEST_SHEETS.map(sheet => [sheet.label, String(counts[sheet.key])]);
+    const stationRows = stations.map(name => [name, ...DIGEST_SHEETS.map(sheet => String((byStation[name] || emptyCounts)[sheet.key] || 0))]);
+
+    const text = [
+        stoppedEarly ? `The run stopped early (${run.error || 'unknown error'}); counts cover the VINs checked before it stopped.\n` : '',
+        ...details.map(([label, value]) => `${label}: ${value}`),
+        '',
+        'Vehicles per sheet:',
+        ...sheetRows.map(([label, value]) => `  ${label}: ${value}`),
+        '',
+        ...(station ? [] : [
+            'By station:',
+            ...(stationRows.length > 0
+                ? stationRows.map(([name, ...values]) => `  ${name}: ${DIGEST_SHEETS.map((sheet, i) => `${sheet.label} ${values[i]}`).join(', ')}`)
+                : ['  Nothing to report']),
+            ''
+        ]),
+        run.downloadUrl ? `Download: ${run.downloadUrl}` : '',
+        attached ? `The workbook${station ? ` for ${station}` : ''} is attached.` : ''
+    ].join('\n').trim();
+
+    const cell = (value, tag = 'td') => `<${tag} style="border:1px solid #ccc;padding:4px 8px;text-align:left">${escapeHtml(value)}</${tag}>`;
+    const table = (headers, rows) => `<table style="border-collapse:collapse;margin-bottom:16px">` +
+        (headers ? `<tr>${headers.map(header => cell(header, 'th')).join('')}</tr>` : '') +
+        rows.map(row => `<tr>${row.map(value => cell(value)).join('')}</tr>`).join('') +
+        '</table>';
+
+    const html = [
+        '<div style="font-family:Arial,sans-serif;font-size:14px">',
+        stoppedEarly ? `<p><strong>The run stopped early</strong> (${escapeHtml(run.error || 'unknown error')}); counts cover the VINs checked before it stopped.</p>` : '',
+        table(null, details),
+        '<h3>Vehicles per sheet</h3>',
+        table(['Sheet', 'Vehicles'], sheetRows),
+        station ? '' : '<h3>By station</h3>',
+        station ? '' : (stationRows.length > 0 ? table(['Station', ...DIGEST_SHEETS.map(sheet => sheet.label)], stationRows) : '<p>Nothing to report</p>'),
+        run.downloadUrl ? `<p><a href="${escapeHtml(run.downloadUrl)}">Download the workbook</a></p>` : '',
+        '</div>'
+    ].join('');
+
+    return { subject, text, html };
+}
+
+// "a@x.com, b@x.com" -> ['a@x.com', 'b@x.com']
+function parseAddresses(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    return String(value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+// "ATL=a@x.com,b@x.com; DFW=c@x.com" -> Map { 'ATL' => [...], 'DFW' => [...] } (station names upper-cased)
+function parseStationRecipients(value) {
+    const stations = new Map();
+    String(value || '').split(';').forEach(entry => {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            return;
+        }
+        const station = entry.slice(0, separator).trim().toUpperCase();
+        const addresses = parseAddresses(entry.slice(separator + 1));
+        if (station && addresses.length > 0) {
+            stations.set(station, addresses);
+        }
+    });
+    return stations;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = EmailDigest;
+module.exports.NO_STATION = NO_STATION;
+module.exports.buildDigest = buildDigest;
+module.exports.parseStationRecipients = parseStationRecipients;
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+const CAPTURE_TIMEOUT = 15000; // A hung page must never hold up the run
+
+// Saves what the page looked like when a lookup failed (screenshot, HTML and optionally a Playwright trace)
+// under the job's folder. In "trace everything" mode every lookup is recorded, not just failures.
+class EvidenceRecorder {
+    constructor(evidenceDir, options = {}) {
+        this.evidenceDir = evidenceDir;
+        this.traceFailures = Boolean(options.traceFailures); // Keep a trace for each failed lookup
+        this.traceAll = Boolean(options.traceAll); // Debug mode: screenshot, HTML and trace for every lookup
+        this.indexFile = path.join(this.evidenceDir, 'index.json');
+    }
+
+    isTracing() {
+        return this.traceFailures || this.traceAll;
+    }
+
+    // Call before a lookup; starts a trace chunk when traces are wanted
+    async startItem(scraper) {
+        if (!this.isTracing() || !scraper || !scraper.page) {
+            return;
+        }
+
+        try {
+            await withTimeout(scraper.beginTrace());
+        } catch (error) {
+            console.error('Error starting Playwright trace:', error.message);
+        }
+    }
+
+    // Call after a lookup; saves evidence for failures (or everything in debug mode) and returns the index entry
+    async finishItem(scraper, source, item, outcome = {}) {
+        const failed = Boolean(outcome.failed);
+        const keep = failed || this.traceAll;
+
+        if (!keep) {
+            await this.discardTrace(scraper);
+            return null;
+        }
+
+        fs.mkdirSync(this.evidenceDir, { recursive: true });
+        const baseName = `${Date.now()}_${source}_${String(item).replace(/[^\w-]/g, '_')}${outcome.attempt ? `_attempt${outcome.attempt}` : ''}`;
+        const entry = {
+            source,
+            item,
+            failed,
+            error: outcome.error || null,
+            url: null,
+            capturedAt: new Date().toISOString(),
+            files: []
+        };
+
+        if (scraper && scraper.page) {
+            const page = scraper.page;
+
+            try {
+                entry.url = page.url();
+                await withTimeout(page.screenshot({ path: path.join(this.evidenceDir, `${baseName}.png`), fullPage: true }));
+                entry.files.push(`${baseName}.png`);
+            } catch (error) {
+                console.error(`Error saving screenshot for ${item}:`, error.message);
+            }
+
+            try {
+                const html = await withTimeout(page.content());
+                fs.writeFileSync(path.join(this.evidenceDir, `${baseName}.html`), html);
+                entry.files.push(`${baseName}.html`);
+            } catch (error) {
+                console.error(`Error saving page HTML for ${item}:`, error.message);
+            }
+
+            if (this.isTracing()) {
+                try {
+                    await withTimeout(scraper.endTrace(path.join(this.evidenceDir, `${baseName}.trace.zip`)));
+                    entry.files.push(`${baseName}.trace.zip`);
+                } catch (error) {
+                    console.error(`Error saving Playwright trace for ${item}:`, error.message);
+                }
+            }
+        }
+
+        this.appendToIndex(entry);
+        if (failed) {
+            console.log(`📸 Saved failure evidence for ${item} (${entry.files.length} file(s))`);
+        }
+        return entry;
+    }
+
+    async discardTrace(scraper) {
+        if (!this.isTracing() || !scraper) {
+            return;
+        }
+
+        try {
+            await withTimeout(scraper.endTrace());
+        } catch (error) {
+            console.error('Error discarding Playwright trace:', error.message);
+        }
+    }
+
+    appendToIndex(entry) {
+        const entries = this.list();
+        entries.push(entry);
+        fs.writeFileSync(this.indexFile, JSON.stringify(entries, null, 2));
+    }
+
+    list() {
+        if (!fs.existsSync(this.indexFile)) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+        } catch (error) {
+            console.error('Error reading evidence index:', error);
+            return [];
+        }
+    }
+}
+
+function withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Evidence capture timed out after ${CAPTURE_TIMEOUT / 1000} seconds`)), CAPTURE_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = EvidenceRecorder;
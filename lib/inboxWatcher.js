@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xls', '.xlsx'];
+
+// Polls an inbox folder (shared drives don't reliably raise fs.watch events) and hands each new
+// spreadsheet to onFile once it has stopped changing, one file at a time. The file is moved into the
+// archive folder before onFile sees it, so a restart never picks the same file up twice.
+class InboxWatcher {
+    constructor(inboxDir, options = {}) {
+        this.inboxDir = inboxDir;
+        this.archiveDir = options.archiveDir || path.join(inboxDir, 'archive');
+        this.outboxDir = options.outboxDir || path.join(inboxDir, 'outbox');
+        this.failedDir = options.failedDir || path.join(inboxDir, 'failed');
+        this.pollIntervalMs = Math.max(1000, parseInt(options.pollIntervalMs, 10) || 30000);
+        this.onFile = options.onFile || (async () => {});
+        this.timer = null;
+        this.busy = false;
+        this.seen = new Map(); // fileName -> "size:mtime" from the previous poll
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        [this.inboxDir, this.archiveDir, this.outboxDir, this.failedDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
+        console.log(`📥 Watching inbox ${this.inboxDir} every ${this.pollIntervalMs / 1000}s`);
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Process every file that looks the same as on the previous poll (i.e. has finished copying)
+    async poll() {
+        if (this.busy) {
+            return;
+        }
+        this.busy = true;
+
+        try {
+            for (const fileName of this.findReadyFiles()) {
+                let archivedPath;
+                try {
+                    archivedPath = moveFile(path.join(this.inboxDir, fileName), this.archiveDir);
+                } catch (error) {
+                    // Most likely still locked by whoever is writing it; try again next poll
+                    console.error(`Error archiving inbox file ${fileName}:`, error.message);
+                    continue;
+                }
+
+                console.log(`📥 Picked up ${fileName} from the inbox`);
+                try {
+                    await this.onFile(archivedPath, fileName);
+                } catch (error) {
+                    console.error(`Error processing inbox file ${fileName}:`, error.message);
+                }
+            }
+        } catch (error) {
+            console.error('Error polling inbox:', error);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    findReadyFiles() {
+        const previous = this.seen;
+        this.seen = new Map();
+
+        return fs.readdirSync(this.inboxDir, { withFileTypes: true })
+            .filter(entry => entry.isFile() && isSpreadsheet(entry.name))
+            .map(entry => entry.name)
+            .filter(fileName => {
+                const stats = fs.statSync(path.join(this.inboxDir, fileName));
+                const signature = `${stats.size}:${stats.mtimeMs}`;
+                this.seen.set(fileName, signature);
+                return previous.get(fileName) === signature;
+            })
+            .sort();
+    }
+
+    // Copy a finished run's workbook into the outbox, named after the input file
+    deliverOutput(outputPath, inputFileName, suffix = 'recalls') {
+        fs.mkdirSync(this.outboxDir, { recursive: true });
+        const baseName = path.basename(inputFileName, path.extname(inputFileName));
+        const outboxPath = path.join(this.outboxDir, `${baseName}_${suffix}_${timestamp()}.xlsx`);
+        fs.copyFileSync(outputPath, outboxPath);
+        return outboxPath;
+    }
+
+    // Move an archived input into the failed folder, with a note explaining why next to it
+    reject(archivedPath, reason) {
+        const failedPath = moveFile(archivedPath, this.failedDir);
+        fs.writeFileSync(`${failedPath}.error.txt`, `${new Date().toISOString()}\n${reason}\n`);
+        console.log(`📥 Moved ${path.basename(failedPath)} to the failed folder: ${reason}`);
+        return failedPath;
+    }
+}
+
+function isSpreadsheet(fileName) {
+    // Skip Office lock files and hidden/temporary files still being written
+    if (fileName.startsWith('~$') || fileName.startsWith('.')) {
+        return false;
+    }
+    return SPREADSHEET_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Move a file into a folder under a timestamped name (rename, or copy + delete across drives)
+function moveFile(filePath, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    const fileName = path.basename(filePath).replace(/^\d{4}-\d{2}-\d{2}T[\d-]+Z_/, '');
+    const targetPath = path.join(targetDir, `${timestamp()}_${fileName}`);
+
+    try {
+        fs.renameSync(filePath, targetPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
+            throw error;
+        }
+        fs.copyFileSync(filePath, targetPath);
+        fs.unlinkSync(filePath);
+    }
+    return targetPath;
+}
+
+module.exports = InboxWatcher;
@@ -0,0 +1,74 @@
+class JobCancelledError extends Error {
+    constructor(jobId) {
+        super(`Job ${jobId} was cancelled`);
+        this.name = 'JobCancelledError';
+        this.jobId = jobId;
+    }
+}
+
+// Pause/resume/cancel state for one running job, checked by the scraping loops between items
+class JobControl {
+    constructor(jobId) {
+        this.jobId = jobId;
+        this.paused = false;
+        this.cancelled = false;
+        this.resumeWaiters = [];
+
+        // Rejects as soon as the job is cancelled so in-flight scrapes can be abandoned
+        this.cancellation = new Promise((_, reject) => {
+            this.rejectCancellation = reject;
+        });
+        this.cancellation.catch(() => {}); // Avoid unhandled rejection when nobody is racing it
+    }
+
+    pause() {
+        if (this.cancelled) return false;
+        this.paused = true;
+        return true;
+    }
+
+    resume() {
+        if (this.cancelled) return false;
+        this.paused = false;
+        this.releaseWaiters();
+        return true;
+    }
+
+    cancel() {
+        if (this.cancelled) return false;
+        this.cancelled = true;
+        this.paused = false;
+        this.rejectCancellation(new JobCancelledError(this.jobId));
+        this.releaseWaiters();
+        return true;
+    }
+
+    releaseWaiters() {
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    // Called between VINs/recalls: waits while paused and throws once cancelled
+    async checkpoint() {
+        if (this.paused) {
+            console.log(`⏸️ Job ${this.jobId} paused - waiting to be resumed...`);
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+            if (!this.cancelled) {
+                console.log(`▶️ Job ${this.jobId} resumed`);
+            }
+        }
+
+        if (this.cancelled) {
+            throw new JobCancelledError(this.jobId);
+        }
+    }
+
+    // Settle with the given promise, or reject early if the job is cancelled first
+    race(promise) {
+        return Promise.race([promise, this.cancellation]);
+    }
+}
+
+module.exports = JobControl;
+module.exports.JobCancelledError = JobCancelledError;
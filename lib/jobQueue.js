@@ -0,0 +1,89 @@
+// FIFO queue that runs at most `concurrency` jobs at a time
+class JobQueue {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+        this.onChange = options.onChange || (() => {});
+        this.pending = []; // Array of { id, task, resolve, reject } in arrival order
+        this.active = new Set(); // IDs of jobs currently being worked on
+    }
+
+    // Add a job to the back of the queue; resolves/rejects with the task's result
+    enqueue(id, task) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ id, task, resolve, reject });
+            this.drain();
+            this.onChange(this);
+        });
+    }
+
+    // 1-based position among waiting jobs, or 0 if the job isn't waiting
+    getPosition(id) {
+        return this.pending.findIndex(entry => entry.id === id) + 1;
+    }
+
+    isWaiting(id) {
+        return this.getPosition(id) > 0;
+    }
+
+    isActive(id) {
+        return this.active.has(id);
+    }
+
+    getWaitingIds() {
+        return this.pending.map(entry => entry.id);
+    }
+
+    // Take a waiting job out of the queue, rejecting its promise with the given error
+    remove(id, error) {
+        const index = this.pending.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        const [entry] = this.pending.splice(index, 1);
+        entry.reject(error);
+        this.onChange(this);
+        return true;
+    }
+
+    drain() {
+        let started = false;
+
+        while (this.active.size < this.concurrency && this.pending.length > 0) {
+            const entry = this.pending.shift();
+            this.active.add(entry.id);
+            started = true;
+
+            Promise.resolve()
+                .then(entry.task)
+                .then(entry.resolve, entry.reject)
+                .finally(() => {
+                    this.active.delete(entry.id);
+                    this.drain();
+                });
+        }
+
+        if (started) {
+            this.onChange(this);
+        }
+    }
+}
+
+// Mutual exclusion for a shared resource; acquire() resolves with a release function
+class Lock {
+    constructor() {
+        this.tail = Promise.resolve();
+    }
+
+    acquire() {
+        let release;
+        const previous = this.tail;
+        this.tail = new Promise(resolve => {
+            release = resolve;
+        });
+        return previous.then(() => release);
+    }
+}
+
+module.exports = JobQueue;
+module.exports.Lock = Lock;
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Job statuses that should be picked up again after a server restart
+const RESUMABLE_STATUSES = ['queued', 'running'];
+
+// Thrown by create() when a job with the requested ID already exists (e.g. a reused upload session ID)
+class JobExistsError extends Error {
+    constructor(jobId) {
+        super(`A job with ID "${jobId}" already exists`);
+        this.name = 'JobExistsError';
+        this.jobId = jobId;
+    }
+}
+
+// Job IDs name a folder in the store, so they may only contain letters, digits, _ and -
+const JOB_ID_PATTERN = /^[\w-]+$/;
+
+class JobStore {
+    constructor(baseDir) {
+        this.baseDir = baseDir;
+        fs.mkdirSync(this.baseDir, { recursive: true });
+    }
+
+    getJobDir(jobId) {
+        return path.join(this.baseDir, jobId);
+    }
+
+    getJobFile(jobId) {
+        return path.join(this.getJobDir(jobId), 'job.json');
+    }
+
+    // Throws if fields.id (which may come from a client) isn't a valid job ID, JobExistsError if it is taken
+    create(fields) {
+        if (fields.id !== undefined && fields.id !== null && !isValidJobId(fields.id)) {
+            throw new Error(`Invalid job ID "${fields.id}"`);
+        }
+        if (fields.id && fs.existsSync(this.getJobDir(fields.id))) {
+            throw new JobExistsError(fields.id);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            status: 'queued',
+            phase: 'ford',
+            fileName: '',
+            vinColumn: 'auto',
+            detectedColumn: 'auto',
+            totalRows: 0,
+            vinNumbers: [],    // Array of { vin, originalRow }
+            invalidVINs: [],
+            fordResults: {},   // VIN -> serialized vinResult (the merged record of every VIN-keyed source)
+            fordCursor: 0,     // Number of VINs completed in Phase 1
+            docsearchResults: {}, // Recall number -> DocSearch result (other recall-keyed sources use <name>Results)
+            outputFile: null,
+            error: null,
+            ...fields,
+            id: fields.id || createJobId(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        fs.mkdirSync(this.getJobDir(job.id), { recursive: true });
+        this.save(job);
+        return job;
+    }
+
+    get(jobId) {
+        // Job IDs come from URLs, so never let one point outside the store
+        if (!isValidJobId(jobId)) {
+            return null;
+        }
+
+        const jobFile = this.getJobFile(jobId);
+        if (!fs.existsSync(jobFile)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(jobFile, 'utf8'));
+        } catch (error) {
+            console.error(`Error reading job ${jobId}:`, error);
+            return null;
+        }
+    }
+
+    save(job) {
+        job.updatedAt = new Date().toISOString();
+
+        // Write to a temp file first so a crash mid-write never leaves a truncated job.json
+        const jobFile = this.getJobFile(job.id);
+        const tempFile = `${jobFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(job));
+        fs.renameSync(tempFile, jobFile);
+        return job;
+    }
+
+    update(job, fields) {
+        Object.assign(job, fields);
+        return this.save(job);
+    }
+
+    recordFordResult(job, vinResult) {
+        return this.recordFordResults(job, [vinResult]);
+    }
+
+    // Store several VIN records with a single write (e.g. every VIN of an unsupported make)
+    recordFordResults(job, vinResults) {
+        vinResults.forEach(vinResult => {
+            job.fordResults[vinResult.vin] = serializeVinResult(vinResult);
+        });
+        job.fordCursor = Object.keys(job.fordResults).length;
+        return this.save(job);
+    }
+
+    // Store a recall-keyed source's result under job[resultsField] (e.g. docsearchResults)
+    recordRecallResult(job, resultsField, recallNumber, data) {
+        job[resultsField] = job[resultsField] || {};
+        job[resultsField][recallNumber] = data;
+        return this.save(job);
+    }
+
+    // Forget failed Ford/DocSearch results so the next run of the job scrapes only those again
+    // Returns the VINs and recall numbers that will be retried (VINs never reached count too, unsupported makes don't)
+    resetFailures(job) {
+        const failedVins = job.vinNumbers
+            .map(item => item.vin)
+            .filter(vin => {
+                const stored = job.fordResults[vin];
+                if (stored && stored.unsupportedMake) {
+                    return false;
+                }
+                return !stored || !stored.fordData || stored.fordData.success === false;
+            });
+        const failedRecalls = Object.keys(job.docsearchResults)
+            .filter(recallNumber => job.docsearchResults[recallNumber].success === false);
+
+        failedVins.forEach(vin => delete job.fordResults[vin]);
+        failedRecalls.forEach(recallNumber => delete job.docsearchResults[recallNumber]);
+        job.fordCursor = Object.keys(job.fordResults).length;
+        this.save(job);
+
+        return { failedVins, failedRecalls };
+    }
+
+    list() {
+        return fs.readdirSync(this.baseDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => this.get(entry.name))
+            .filter(job => job !== null)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    listResumable() {
+        return this.list().filter(job => RESUMABLE_STATUSES.includes(job.status));
+    }
+
+    delete(jobId) {
+        fs.rmSync(this.getJobDir(jobId), { recursive: true, force: true });
+    }
+}
+
+function isValidJobId(jobId) {
+    return typeof jobId === 'string' && JOB_ID_PATTERN.test(jobId);
+}
+
+// Timestamp plus a random suffix, so jobs started in the same millisecond don't share an ID (and folder)
+function createJobId() {
+    return `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Convert a vinResult into plain JSON (docsearchDataByRecall is a Map while scraping)
+function serializeVinResult(vinResult) {
+    const docsearchDataByRecall = {};
+    if (vinResult.docsearchDataByRecall instanceof Map) {
+        vinResult.docsearchDataByRecall.forEach((value, key) => {
+            docsearchDataByRecall[key] = value;
+        });
+    }
+
+    return {
+        ...vinResult,
+        docsearchDataByRecall
+    };
+}
+
+// Rebuild a vinResult from its stored form so it can go back through Phase 3
+function restoreVinResult(storedResult) {
+    return {
+        ...storedResult,
+        docsearchDataByRecall: new Map(Object.entries(storedResult.docsearchDataByRecall || {}))
+    };
+}
+
+// Compact view of a job for status endpoints (without input rows and results)
+function summarizeJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        phase: job.phase,
+        fileName: job.fileName,
+        vinCount: job.vinNumbers.length,
+        fordCompleted: Object.keys(job.fordResults).length,
+        docsearchCompleted: Object.keys(job.docsearchResults).length,
+        outputFile: job.outputFile,
+        error: job.error,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    };
+}
+
+module.exports = JobStore;
+module.exports.JobExistsError = JobExistsError;
+module.exports.isValidJobId = isValidJobId;
+module.exports.createJobId = createJobId;
+module.exports.serializeVinResult = serializeVinResult;
+module.exports.restoreVinResult = restoreVinResult;
+module.exports.summarizeJob = summarizeJob;
@@ -0,0 +1,146 @@
+// Event types that end a job's progress stream
+const FINAL_EVENT_TYPES = ['complete', 'cancelled', 'failed'];
+
+// Buffers progress events per job so several viewers can watch and reconnect without losing events
+class ProgressHub {
+    constructor(options = {}) {
+        this.maxEvents = options.maxEvents || 1000; // Events kept per job for Last-Event-ID replay
+        this.retentionMs = options.retentionMs || 15 * 60 * 1000; // How long a finished stream stays available
+        this.heartbeatMs = options.heartbeatMs || 25000;
+        this.channels = new Map();
+    }
+
+    getChannel(jobId) {
+        if (!this.channels.has(jobId)) {
+            this.channels.set(jobId, {
+                events: [],        // Array of { id, data }, oldest first
+                nextId: 1,
+                viewers: new Set(),
+                listeners: new Set(), // In-process callbacks (e.g. the CLI printing progress)
+                state: null,       // Latest non-final event (current progress)
+                finalEvent: null,  // complete/cancelled/failed event once the job has ended
+                expireTimer: null
+            });
+        }
+        return this.channels.get(jobId);
+    }
+
+    publish(jobId, data) {
+        if (!jobId) return;
+
+        const channel = this.getChannel(jobId);
+        const event = { id: channel.nextId++, data };
+
+        channel.events.push(event);
+        if (channel.events.length > this.maxEvents) {
+            channel.events.shift();
+        }
+
+        if (FINAL_EVENT_TYPES.includes(data.type)) {
+            channel.finalEvent = event;
+        } else {
+            channel.state = event;
+        }
+
+        channel.viewers.forEach(res => this.write(res, event));
+        channel.listeners.forEach(listener => listener(data));
+    }
+
+    // Call back with every event published for a job from now on; returns a function that stops listening
+    listen(jobId, listener) {
+        const channel = this.getChannel(jobId);
+        channel.listeners.add(listener);
+        return () => channel.listeners.delete(listener);
+    }
+
+    // Mark a job's stream as finished: viewers are disconnected and the buffer expires later
+    finish(jobId) {
+        const channel = this.channels.get(jobId);
+        if (!channel) return;
+
+        channel.viewers.forEach(res => res.end());
+        channel.viewers.clear();
+
+        clearTimeout(channel.expireTimer);
+        channel.expireTimer = setTimeout(() => this.channels.delete(jobId), this.retentionMs);
+        channel.expireTimer.unref();
+    }
+
+    // Start streaming again for a job that finished earlier (e.g. when it is retried); event IDs keep counting up
+    reopen(jobId) {
+        const channel = this.channels.get(jobId);
+        if (!channel) return;
+
+        clearTimeout(channel.expireTimer);
+        channel.expireTimer = null;
+        channel.finalEvent = null;
+    }
+
+    // Attach an SSE response; replays events after lastEventId, or sends the current state to new viewers
+    subscribe(jobId, req, res) {
+        const channel = this.getChannel(jobId);
+        const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId || '0', 10) || 0;
+        const lastPublishedId = channel.nextId - 1;
+
+        // Finished and already fully delivered: 204 tells EventSource to stop reconnecting
+        if (channel.finalEvent && lastEventId >= channel.finalEvent.id) {
+            return res.status(204).end();
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        const oldestBufferedId = channel.events.length > 0 ? channel.events[0].id : channel.nextId;
+        if (lastEventId > 0 && lastEventId >= oldestBufferedId - 1) {
+            // Reconnect: replay everything that was missed
+            channel.events
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.write(res, event));
+        } else if (lastEventId < lastPublishedId) {
+            // Late joiner (or gap too old to replay): send the current state straight away
+            [channel.state, channel.finalEvent]
+                .filter(event => event && event.id > lastEventId)
+                .forEach(event => this.write(res, event));
+        }
+
+        if (channel.finalEvent) {
+            return res.end();
+        }
+
+        channel.viewers.add(res);
+
+        // Comment lines keep idle connections from being dropped by proxies
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), this.heartbeatMs);
+        heartbeat.unref();
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            channel.viewers.delete(res);
+
+            // Nothing was ever published (an unknown ID, or a job that hasn't started): drop it with its last viewer
+            const unused = channel.nextId === 1 && channel.viewers.size === 0 && channel.listeners.size === 0;
+            if (unused && this.channels.get(jobId) === channel) {
+                this.channels.delete(jobId);
+            }
+        });
+    }
+
+    write(res, event) {
+        res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    isFinished(jobId) {
+        const channel = this.channels.get(jobId);
+        return Boolean(channel && channel.finalEvent);
+    }
+
+    getViewerCount(jobId) {
+        const channel = this.channels.get(jobId);
+        return channel ? channel.viewers.size : 0;
+    }
+}
+
+module.exports = ProgressHub;
@@ -0,0 +1,188 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Error messages that mean the site is struggling or throttling us (as opposed to a markup problem)
+const THROTTLE_ERROR_PATTERN = /timeout|NS_ERROR_ABORT|\b429\b|\b5\d\d\b|too many requests|service unavailable/i;
+
+// Paces requests to one site for every worker of every job. The gap between requests grows when the site
+// times out, aborts or answers 429/5xx and shrinks again while responses are healthy. Hourly caps and
+// quiet hours hold requests back entirely.
+class RateLimiter {
+    constructor(options = {}) {
+        this.name = options.name || 'site';
+        this.requestsPerMinute = Math.max(0, parseFloat(options.requestsPerMinute) || 0); // 0 = no ceiling
+        this.baseDelayMs = Math.max(0, parseInt(options.baseDelayMs, 10) || 0);
+        this.minDelayMs = Math.max(0, parseInt(options.minDelayMs, 10) || Math.floor(this.baseDelayMs / 2));
+        this.maxDelayMs = Math.max(this.baseDelayMs, parseInt(options.maxDelayMs, 10) || this.baseDelayMs * 10);
+        this.maxPerHour = Math.max(0, parseInt(options.maxPerHour, 10) || 0); // 0 = no cap
+        this.quietHours = parseQuietHours(options.quietHours);
+        this.backoffFactor = options.backoffFactor || 2;
+        this.recoveryFactor = options.recoveryFactor || 0.8;
+        this.healthyStreakToRecover = options.healthyStreakToRecover || 5;
+
+        this.currentDelayMs = this.baseDelayMs; // Adaptive gap between requests
+        this.healthyStreak = 0;
+        this.lastRequestAt = 0;
+        this.recentRequests = []; // Start times within the last hour (for maxPerHour)
+        this.turn = Promise.resolve(); // Requests are handed out one at a time, in call order
+    }
+
+    // Resolves when the caller may send its next request
+    acquire() {
+        const slot = this.turn.then(() => this.waitForSlot());
+        this.turn = slot.catch(() => {});
+        return slot;
+    }
+
+    async waitForSlot() {
+        // Re-check after every wait: quiet hours may start while waiting for the hourly cap and vice versa
+        for (;;) {
+            const quietWaitMs = this.getQuietWaitMs();
+            if (quietWaitMs > 0) {
+                console.log(`🌙 ${this.name}: quiet hours - holding requests for ${Math.ceil(quietWaitMs / 60000)} minute(s)`);
+                await sleep(quietWaitMs);
+                continue;
+            }
+
+            const capWaitMs = this.getHourlyCapWaitMs();
+            if (capWaitMs > 0) {
+                console.log(`⏳ ${this.name}: hourly cap of ${this.maxPerHour} requests reached - waiting ${Math.ceil(capWaitMs / 60000)} minute(s)`);
+                await sleep(capWaitMs);
+                continue;
+            }
+
+            const gapWaitMs = this.lastRequestAt + this.getInterval() - Date.now();
+            if (gapWaitMs > 0) {
+                await sleep(gapWaitMs);
+                continue;
+            }
+
+            break;
+        }
+
+        this.lastRequestAt = Date.now();
+        if (this.maxPerHour > 0) {
+            this.recentRequests.push(this.lastRequestAt);
+        }
+    }
+
+    // Gap between consecutive requests: the adaptive delay, but never faster than the per-minute ceiling
+    getInterval() {
+        const ceilingMs = this.requestsPerMinute > 0 ? 60000 / this.requestsPerMinute : 0;
+        return Math.max(ceilingMs, this.currentDelayMs);
+    }
+
+    getQuietWaitMs(now = new Date()) {
+        if (!this.quietHours) {
+            return 0;
+        }
+
+        const { start, end } = this.quietHours;
+        const minuteOfDay = now.getHours() * 60 + now.getMinutes();
+        const inQuietHours = start < end
+            ? minuteOfDay >= start && minuteOfDay < end
+            : minuteOfDay >= start || minuteOfDay < end; // Window wraps past midnight
+
+        if (!inQuietHours) {
+            return 0;
+        }
+
+        const minutesLeft = (end - minuteOfDay + 24 * 60) % (24 * 60);
+        return minutesLeft * 60000 - now.getSeconds() * 1000 - now.getMilliseconds();
+    }
+
+    getHourlyCapWaitMs() {
+        if (this.maxPerHour === 0) {
+            return 0;
+        }
+
+        const hourAgo = Date.now() - HOUR_MS;
+        this.recentRequests = this.recentRequests.filter(time => time > hourAgo);
+        if (this.recentRequests.length < this.maxPerHour) {
+            return 0;
+        }
+        return this.recentRequests[0] + HOUR_MS - Date.now();
+    }
+
+    // Why requests are currently held back (for progress messages), or null
+    getBlockedReason() {
+        const quietWaitMs = this.getQuietWaitMs();
+        if (quietWaitMs > 0) {
+            return `${this.name} quiet hours (resuming in ${Math.ceil(quietWaitMs / 60000)} min)`;
+        }
+
+        const capWaitMs = this.getHourlyCapWaitMs();
+        if (capWaitMs > 0) {
+            return `${this.name} hourly limit of ${this.maxPerHour} requests reached (resuming in ${Math.ceil(capWaitMs / 60000)} min)`;
+        }
+        return null;
+    }
+
+    // A healthy response: after a streak of them, speed back up towards the minimum delay
+    reportSuccess() {
+        this.healthyStreak++;
+        if (this.healthyStreak >= this.healthyStreakToRecover && this.currentDelayMs > this.minDelayMs) {
+            this.currentDelayMs = Math.max(this.minDelayMs, Math.round(this.currentDelayMs * this.recoveryFactor));
+            this.healthyStreak = 0;
+            console.log(`🏎️ ${this.name}: responses healthy - request gap now ${this.currentDelayMs}ms`);
+        }
+    }
+
+    // A failed request: slow down if the failure looks like throttling or an overloaded site
+    reportFailure(error) {
+        const message = (error && error.message) || String(error || '');
+        if (!THROTTLE_ERROR_PATTERN.test(message)) {
+            return false;
+        }
+
+        this.backOff(message);
+        return true;
+    }
+
+    // HTTP status of a page response; 429 and 5xx mean back off
+    reportStatus(status) {
+        if (status === 429 || (status >= 500 && status < 600)) {
+            this.backOff(`HTTP ${status}`);
+        }
+    }
+
+    backOff(reason) {
+        this.healthyStreak = 0;
+        const previousDelayMs = this.currentDelayMs;
+        this.currentDelayMs = Math.min(this.maxDelayMs, Math.max(1000, Math.round(this.currentDelayMs * this.backoffFactor)));
+        if (this.currentDelayMs !== previousDelayMs) {
+            console.log(`🐢 ${this.name}: ${reason} - request gap now ${this.currentDelayMs}ms`);
+        }
+    }
+
+    // Scale an in-page sleep by how far the limiter has backed off (never below half of it)
+    scaleDelay(ms) {
+        if (this.baseDelayMs === 0) {
+            return ms;
+        }
+        return Math.round(ms * Math.max(0.5, this.currentDelayMs / this.baseDelayMs));
+    }
+}
+
+// "22-6" or "22:00-06:30" (local time) -> { start, end } in minutes of the day, or null
+function parseQuietHours(value) {
+    if (!value) {
+        return null;
+    }
+
+    const match = String(value).trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+    if (!match) {
+        console.warn(`Ignoring invalid quiet hours "${value}" (expected e.g. 22-6 or 22:00-06:30)`);
+        return null;
+    }
+
+    const start = (parseInt(match[1], 10) % 24) * 60 + parseInt(match[2] || '0', 10);
+    const end = (parseInt(match[3], 10) % 24) * 60 + parseInt(match[4] || '0', 10);
+    return start === end ? null : { start, end };
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = RateLimiter;
+module.exports.parseQuietHours = parseQuietHours;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Record of finished runs and the output files they produced
+class RunHistory {
+    constructor(historyFile, downloadsDir) {
+        this.historyFile = historyFile;
+        this.downloadsDir = downloadsDir;
+        fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+    }
+
+    load() {
+        if (!fs.existsSync(this.historyFile)) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+        } catch (error) {
+            console.error('Error reading run history:', error);
+            return [];
+        }
+    }
+
+    saveAll(runs) {
+        const tempFile = `${this.historyFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(runs, null, 2));
+        fs.renameSync(tempFile, this.historyFile);
+    }
+
+    // Add or replace the entry for a run (newest first)
+    record(run) {
+        const runs = this.load().filter(existing => existing.id !== run.id);
+        runs.unshift(run);
+        this.saveAll(runs);
+        return run;
+    }
+
+    list() {
+        return this.load();
+    }
+
+    get(runId) {
+        return this.load().find(run => run.id === runId) || null;
+    }
+
+    // Delete a run and its output file
+    remove(runId) {
+        const runs = this.load();
+        const run = runs.find(existing => existing.id === runId);
+        if (!run) {
+            return null;
+        }
+
+        this.deleteOutputFile(run);
+        this.saveAll(runs.filter(existing => existing.id !== runId));
+        return run;
+    }
+
+    deleteOutputFile(run) {
+        if (!run.outputFile) {
+            return;
+        }
+
+        const outputPath = path.join(this.downloadsDir, path.basename(run.outputFile));
+        try {
+            if (fs.existsSync(outputPath)) {
+                fs.unlinkSync(outputPath);
+                console.log(`Deleted output file: ${run.outputFile}`);
+            }
+        } catch (error) {
+            console.error(`Error deleting output file ${run.outputFile}:`, error);
+        }
+    }
+
+    // Remove runs older than maxAgeDays and anything beyond the newest maxRuns (0 disables a limit)
+    applyRetention({ maxRuns = 0, maxAgeDays = 0 } = {}) {
+        const runs = this.load();
+        const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+        const kept = [];
+        const expired = [];
+        for (const run of runs) {
+            const runTime = new Date(run.completedAt || run.startedAt).getTime();
+            const tooOld = cutoff !== null && runTime < cutoff;
+            const overLimit = maxRuns > 0 && kept.length >= maxRuns;
+
+            if (tooOld || overLimit) {
+                expired.push(run);
+            } else {
+                kept.push(run);
+            }
+        }
+
+        if (expired.length > 0) {
+            console.log(`Retention policy: removing ${expired.length} old run(s) (max ${maxRuns || 'unlimited'} runs, ${maxAgeDays || 'unlimited'} days)...`);
+            expired.forEach(run => this.deleteOutputFile(run));
+            this.saveAll(kept);
+        }
+
+        return expired;
+    }
+}
+
+module.exports = RunHistory;
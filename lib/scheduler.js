@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+
+const CHECK_INTERVAL = 30 * 1000; // Schedules are checked twice a minute so no minute is missed
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// minute hour day-of-month month day-of-week
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// Recurring scans stored in a JSON file. Each schedule has a cron expression, a fleet file (a copy kept
+// with the schedule, or a watched path on the server) and run options; due schedules are handed to onRun.
+class Scheduler {
+    constructor(schedulesFile, options = {}) {
+        this.schedulesFile = schedulesFile;
+        this.onRun = options.onRun || (async () => {});
+        this.watchRoot = options.watchRoot ? path.resolve(options.watchRoot) : null; // Watched paths must be inside it (null = none allowed)
+        this.timer = null;
+        this.active = new Set(); // Schedules whose scan is still running; an overlapping tick is skipped
+        fs.mkdirSync(path.dirname(this.schedulesFile), { recursive: true });
+    }
+
+    load() {
+        if (!fs.existsSync(this.schedulesFile)) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.schedulesFile, 'utf8'));
+        } catch (error) {
+            console.error('Error reading schedules:', error);
+            return [];
+        }
+    }
+
+    saveAll(schedules) {
+        const tempFile = `${this.schedulesFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(schedules, null, 2));
+        fs.renameSync(tempFile, this.schedulesFile);
+    }
+
+    list() {
+        return this.load().map(schedule => ({
+            ...schedule,
+            running: this.active.has(schedule.id),
+            nextRunAt: schedule.enabled ? getNextRun(schedule.cron) : null
+        }));
+    }
+
+    get(scheduleId) {
+        return this.load().find(schedule => schedule.id === scheduleId) || null;
+    }
+
+    // Add a schedule; throws if the cron expression is invalid, it has no fleet file or the watched path isn't allowed
+    create(fields) {
+        const schedule = {
+            id: fields.id || Date.now().toString(),
+            name: fields.name || 'Scheduled scan',
+            cron: fields.cron,
+            filePath: fields.filePath || null, // Fleet file copied in when the schedule was created
+            fileName: fields.fileName || null,
+            watchPath: fields.watchPath ? this.resolveWatchPath(fields.watchPath) : null, // File or folder under the watch root read at run time (newest file wins)
+            vinColumn: fields.vinColumn || 'auto',
+            forceRefresh: Boolean(fields.forceRefresh),
+            traceAll: Boolean(fields.traceAll),
+            enabled: fields.enabled !== false,
+            createdAt: new Date().toISOString(),
+            lastRunAt: null,
+            lastRunId: null,
+            lastStatus: null,
+            lastError: null
+        };
+        validateSchedule(schedule);
+
+        const schedules = this.load();
+        schedules.push(schedule);
+        this.saveAll(schedules);
+        return schedule;
+    }
+
+    // Change a schedule's settings; returns the updated schedule or null if it doesn't exist
+    update(scheduleId, changes) {
+        const schedules = this.load();
+        const index = schedules.findIndex(schedule => schedule.id === scheduleId);
+        if (index === -1) {
+            return null;
+        }
+
+        const schedule = { ...schedules[index], ...changes, id: scheduleId };
+        if (changes.watchPath) {
+            schedule.watchPath = this.resolveWatchPath(changes.watchPath);
+        }
+        validateSchedule(schedule);
+        schedules[index] = schedule;
+        this.saveAll(schedules);
+        return schedule;
+    }
+
+    // Absolute watched path (relative ones are taken from the watch root); throws if it is outside the root
+    resolveWatchPath(watchPath) {
+        if (!this.watchRoot) {
+            throw new Error('Watched paths are turned off on this server (SCHEDULE_WATCH_DIR is not set)');
+        }
+        const resolved = path.resolve(this.watchRoot, watchPath);
+        if (!isInsideDir(this.watchRoot, resolved)) {
+            throw new Error(`Watched path must be inside ${this.watchRoot}`);
+        }
+        return resolved;
+    }
+
+    remove(scheduleId) {
+        const schedules = this.load();
+        const schedule = schedules.find(existing => existing.id === scheduleId);
+        if (!schedule) {
+            return null;
+        }
+
+        this.saveAll(schedules.filter(existing => existing.id !== scheduleId));
+        return schedule;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        // A scan that was running when the server stopped is resumed as a job, but no longer tracked here
+        this.load()
+            .filter(schedule => schedule.lastStatus === 'running')
+            .forEach(schedule => this.update(schedule.id, { lastStatus: 'interrupted' }));
+
+        this.timer = setInterval(() => this.tick(), CHECK_INTERVAL);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Run every enabled schedule that is due this minute (and hasn't already run this minute)
+    tick(now = new Date()) {
+        const minuteStart = new Date(now);
+        minuteStart.setSeconds(0, 0);
+
+        for (const schedule of this.load()) {
+            if (!schedule.enabled || this.active.has(schedule.id)) {
+                continue;
+            }
+
+            const alreadyRan = schedule.lastRunAt && new Date(schedule.lastRunAt) >= minuteStart;
+            if (alreadyRan || !matchesCron(schedule.cron, now)) {
+                continue;
+            }
+
+            this.run(schedule.id).catch(error => {
+                console.error(`Error running schedule ${schedule.id}:`, error);
+            });
+        }
+    }
+
+    // Run a schedule now (on its timer or on demand); resolves when its scan has finished
+    async run(scheduleId) {
+        const schedule = this.get(scheduleId);
+        if (!schedule) {
+            throw new Error('Schedule not found');
+        }
+        if (this.active.has(scheduleId)) {
+            throw new Error('Schedule is already running');
+        }
+
+        this.active.add(scheduleId);
+        this.update(scheduleId, { lastRunAt: new Date().toISOString(), lastStatus: 'running', lastError: null });
+        console.log(`⏰ Running scheduled scan "${schedule.name}" (${schedule.cron})`);
+
+        try {
+            const result = await this.onRun(schedule, runId => this.update(scheduleId, { lastRunId: runId }));
+            this.update(scheduleId, { lastStatus: 'completed' });
+            return result;
+        } catch (error) {
+            this.update(scheduleId, { lastStatus: 'failed', lastError: error.message });
+            throw error;
+        } finally {
+            this.active.delete(scheduleId);
+        }
+    }
+}
+
+// The fleet file a schedule should scan right now: its stored copy, the watched file, or the newest
+// spreadsheet in the watched folder. Watched paths are checked against watchRoot again (schedules saved
+// before it was set or changed, symlinks leading out of it).
+function resolveScheduleFile(schedule, watchRoot) {
+    if (schedule.filePath) {
+        if (!fs.existsSync(schedule.filePath)) {
+            throw new Error(`Stored fleet file is missing: ${schedule.filePath}`);
+        }
+        return { filePath: schedule.filePath, fileName: schedule.fileName || path.basename(schedule.filePath) };
+    }
+
+    if (!watchRoot || !isInsideDir(path.resolve(watchRoot), path.resolve(schedule.watchPath))) {
+        throw new Error(`Watched path is outside the allowed folder: ${schedule.watchPath}`);
+    }
+    if (!fs.existsSync(schedule.watchPath)) {
+        throw new Error(`Watched path does not exist: ${schedule.watchPath}`);
+    }
+    if (fs.existsSync(watchRoot) && !isInsideDir(fs.realpathSync(watchRoot), fs.realpathSync(schedule.watchPath))) {
+        throw new Error(`Watched path leads outside the allowed folder: ${schedule.watchPath}`);
+    }
+
+    if (!fs.statSync(schedule.watchPath).isDirectory()) {
+        return { filePath: schedule.watchPath, fileName: path.basename(schedule.watchPath) };
+    }
+
+    const newest = fs.readdirSync(schedule.watchPath)
+        .filter(name => ['.csv', '.xls', '.xlsx'].includes(path.extname(name).toLowerCase()) && !name.startsWith('~$'))
+        .map(name => ({ name, mtime: fs.statSync(path.join(schedule.watchPath, name)).mtimeMs }))
+        .sort((a, b) => b.mtime - a.mtime)[0];
+
+    if (!newest) {
+        throw new Error(`No CSV, XLS or XLSX files found in ${schedule.watchPath}`);
+    }
+    return { filePath: path.join(schedule.watchPath, newest.name), fileName: newest.name };
+}
+
+function isInsideDir(dir, target) {
+    const relative = path.relative(dir, target);
+    return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+function validateSchedule(schedule) {
+    parseCron(schedule.cron);
+    if (!schedule.filePath && !schedule.watchPath) {
+        throw new Error('A schedule needs a fleet file or a watched path');
+    }
+}
+
+// "0 6 * * MON" -> one Set of allowed values per field; throws on an invalid expression
+function parseCron(expression) {
+    const source = CRON_ALIASES[String(expression || '').trim().toLowerCase()] || String(expression || '').trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error(`Invalid cron expression "${expression}" (expected 5 fields: minute hour day-of-month month day-of-week)`);
+    }
+
+    const fields = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index], expression));
+
+    // Sunday may be written as 0 or 7
+    if (fields[4].values.has(7)) {
+        fields[4].values.add(0);
+    }
+    return fields;
+}
+
+function parseCronField(part, field, expression) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const match = item.toUpperCase().match(/^(\*|[0-9A-Z]+)(?:-([0-9A-Z]+))?(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${field.name} "${item}" in cron expression "${expression}"`);
+        }
+
+        const toNumber = (value) => {
+            const nameIndex = field.names ? field.names.indexOf(value) : -1;
+            const number = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : parseInt(value, 10);
+            if (isNaN(number) || number < field.min || number > field.max) {
+                throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+            }
+            return number;
+        };
+
+        const start = match[1] === '*' ? field.min : toNumber(match[1]);
+        const end = match[1] === '*' ? field.max : (match[2] ? toNumber(match[2]) : (match[3] ? field.max : start));
+        const step = match[3] ? parseInt(match[3], 10) : 1;
+        if (step < 1 || end < start) {
+            throw new Error(`Invalid ${field.name} "${item}" in cron expression "${expression}"`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // As in cron, a field starting with * (including steps like */2) doesn't restrict the day
+    return { values, restricted: !part.startsWith('*') };
+}
+
+// Does the cron expression fire in the given minute (local time)?
+function matchesCron(expression, date) {
+    try {
+        return matchesFields(parseCron(expression), date);
+    } catch (error) {
+        return false;
+    }
+}
+
+function matchesFields(fields, date) {
+    const [minute, hour, , month] = fields;
+    return month.values.has(date.getMonth() + 1) && matchesDay(fields, date) &&
+        hour.values.has(date.getHours()) && minute.values.has(date.getMinutes());
+}
+
+function matchesDay(fields, date) {
+    const dayOfMonth = fields[2];
+    const dayOfWeek = fields[4];
+
+    // As in cron: when both day fields are restricted, either one matching is enough
+    const dayOfMonthMatches = dayOfMonth.values.has(date.getDate());
+    const dayOfWeekMatches = dayOfWeek.values.has(date.getDay());
+    if (dayOfMonth.restricted && dayOfWeek.restricted) {
+        return dayOfMonthMatches || dayOfWeekMatches;
+    }
+    return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+// Next time (ISO string) the expression fires after `from`, looking up to a year ahead
+function getNextRun(expression, from = new Date()) {
+    let fields;
+    try {
+        fields = parseCron(expression);
+    } catch (error) {
+        return null;
+    }
+
+    const candidate = new Date(from);
+    candidate.setSeconds(0, 0);
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= limit) {
+        if (!fields[3].values.has(candidate.getMonth() + 1) || !matchesDay(fields, candidate)) {
+            // Skip to the start of the next day
+            candidate.setHours(24, 0, 0, 0);
+        } else if (!fields[1].values.has(candidate.getHours())) {
+            candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+        } else if (!fields[0].values.has(candidate.getMinutes())) {
+            candidate.setMinutes(candidate.getMinutes() + 1);
+        } else {
+            return candidate.toISOString();
+        }
+    }
+    return null;
+}
+
+module.exports = Scheduler;
+module.exports.parseCron = parseCron;
+module.exports.matchesCron = matchesCron;
+module.exports.getNextRun = getNextRun;
+module.exports.resolveScheduleFile = resolveScheduleFile;
@@ -0,0 +1,154 @@
+// Thrown by a source that can't be used for the rest of a run (browser won't start, nobody signed in,
+// session expired); keys it hasn't looked up yet are marked failed with the message
+class SourceUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SourceUnavailableError';
+    }
+}
+
+// Base class for recall sources. A source is keyed either by VIN (looked up once per VIN, like ford.com) or
+// by recall number (looked up once per unique recall number the VIN-keyed sources found, like DocSearch).
+// Instances are shared by every run, so anything a run opens lives in the session returned by initialize().
+class RecallSource {
+    constructor(options = {}) {
+        this.name = options.name; // Id used in logs, job fields (<name>Results, <name>Cache) and the `sources` run option
+        this.label = options.label || options.name; // Shown in progress messages
+        this.keyedBy = options.keyedBy; // 'vin' or 'recall'
+        this.makes = options.makes || null; // VIN-keyed sources: makes (from the VIN's WMI) the source can look up; null = any
+
+        if (!this.name) {
+            throw new Error('A recall source needs a name');
+        }
+        if (!['vin', 'recall'].includes(this.keyedBy)) {
+            throw new Error(`Recall source "${this.name}" must be keyed by "vin" or "recall"`);
+        }
+    }
+
+    // Open whatever this run needs for the given keys (browsers, sign-in); resolves with a session that is
+    // passed to lookup() and close(). session.workers = lookups run in parallel (default 1).
+    // Throws SourceUnavailableError when the source can't be used this run.
+    async initialize(run, keys) {
+        return { workers: 1 };
+    }
+
+    // Whether VINs of this make are routed to the source (make is null when the WMI is unknown)
+    supportsMake(make) {
+        return !this.makes || this.makes.includes(make);
+    }
+
+    // Look up one VIN or recall number; resolves with the result ({ success: false, error } when it failed)
+    async lookup(session, key, worker) {
+        throw new Error(`Recall source "${this.name}" does not implement lookup()`);
+    }
+
+    // Release what initialize() opened; called once per run, also after errors and cancels
+    async close(session) {}
+
+    // Whether the source can be used right now: { ok, message }
+    async health() {
+        return { ok: true, message: 'Ready' };
+    }
+
+    // Throw to stop the whole run (e.g. SiteChangedError); called before every lookup and once all are done
+    check(session) {}
+
+    // False once a worker can't do more lookups; its remaining keys go to the other workers
+    isWorkerAvailable(session, worker) {
+        return true;
+    }
+
+    // Fresh result from an earlier run: { value, cachedAt } or null
+    getCached(key) {
+        return null;
+    }
+
+    cacheResult(key, result) {}
+
+    // Result recorded for a key that was never looked up (source unavailable, run stopped early)
+    failure(key, message) {
+        return { success: false, error: message, attempts: 0, scrapedAt: new Date().toISOString() };
+    }
+
+    // Copy a result onto the per-VIN record; `cachedAt` is set when it came from the cache
+    merge(vinRecord, key, result, cachedAt = null) {
+        vinRecord.sourceData = vinRecord.sourceData || {};
+        if (this.keyedBy === 'vin') {
+            vinRecord.sourceData[this.name] = result;
+        } else {
+            vinRecord.sourceData[this.name] = vinRecord.sourceData[this.name] || {};
+            vinRecord.sourceData[this.name][key] = result;
+        }
+    }
+
+    // VIN-keyed sources: whether the record already has this source's result (a job resumed after a restart)
+    hasResult(vinRecord) {
+        return Boolean(vinRecord.sourceData && vinRecord.sourceData[this.name]);
+    }
+
+    // VIN-keyed sources: recall numbers found for the VIN, looked up next by the recall-keyed sources
+    getRecallNumbers(vinRecord) {
+        return [];
+    }
+
+    // Wait for the site's rate limiter, telling the job's viewers when quiet hours or an hourly cap hold it back
+    async waitForRateLimit(rateLimiter, run) {
+        const blockedReason = rateLimiter.getBlockedReason();
+        if (blockedReason) {
+            run.progress({ type: 'throttled', message: `Waiting: ${blockedReason}...` });
+        }
+        await run.control.race(rateLimiter.acquire());
+    }
+}
+
+// The recall sources the pipeline runs, in registration order (VIN-keyed sources before recall-keyed ones)
+class SourceRegistry {
+    constructor() {
+        this.sources = new Map();
+    }
+
+    register(source) {
+        if (!(source instanceof RecallSource)) {
+            throw new Error('Recall sources must extend RecallSource');
+        }
+        if (this.sources.has(source.name)) {
+            throw new Error(`A recall source named "${source.name}" is already registered`);
+        }
+        this.sources.set(source.name, source);
+        return source;
+    }
+
+    get(name) {
+        return this.sources.get(name) || null;
+    }
+
+    has(name) {
+        return this.sources.has(name);
+    }
+
+    list(keyedBy = null) {
+        return Array.from(this.sources.values()).filter(source => !keyedBy || source.keyedBy === keyedBy);
+    }
+
+    // The VIN-keyed sources that look up VINs of this make; empty when the make is unsupported
+    route(make) {
+        return this.list('vin').filter(source => source.supportsMake(make));
+    }
+
+    // Every source with its current health, for status endpoints
+    async checkHealth() {
+        return Promise.all(this.list().map(async source => {
+            let health;
+            try {
+                health = await source.health();
+            } catch (error) {
+                health = { ok: false, message: error.message };
+            }
+            return { name: source.name, label: source.label, keyedBy: source.keyedBy, makes: source.makes, ...health };
+        }));
+    }
+}
+
+module.exports = SourceRegistry;
+module.exports.RecallSource = RecallSource;
+module.exports.SourceUnavailableError = SourceUnavailableError;
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// File-backed cache shared across runs; one JSON file per key so large caches stay cheap to update
+class TtlCache {
+    constructor(cacheDir, options = {}) {
+        this.cacheDir = cacheDir;
+        this.ttlMs = options.ttlMs || 0; // 0 disables the cache
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+
+    isEnabled() {
+        return this.ttlMs > 0;
+    }
+
+    getEntryFile(key) {
+        // Keys are VINs/recall numbers, but never let one point outside the cache directory
+        return path.join(this.cacheDir, `${String(key).replace(/[^\w-]/g, '_')}.json`);
+    }
+
+    readEntry(key) {
+        const entryFile = this.getEntryFile(key);
+        if (!fs.existsSync(entryFile)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(entryFile, 'utf8'));
+        } catch (error) {
+            console.error(`Error reading cache entry ${key}:`, error);
+            return null;
+        }
+    }
+
+    // Returns { value, cachedAt, expiresAt } while the entry is fresh, otherwise null
+    get(key) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const entry = this.readEntry(key);
+        if (!entry || new Date(entry.expiresAt).getTime() <= Date.now()) {
+            return null;
+        }
+        return entry;
+    }
+
+    set(key, value, ttlMs = this.ttlMs) {
+        if (!this.isEnabled() || ttlMs <= 0) {
+            return null;
+        }
+
+        const now = Date.now();
+        const entry = {
+            key,
+            value,
+            cachedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString()
+        };
+
+        const entryFile = this.getEntryFile(key);
+        const tempFile = `${entryFile}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(entry));
+        fs.renameSync(tempFile, entryFile);
+        return entry;
+    }
+
+    delete(key) {
+        fs.rmSync(this.getEntryFile(key), { force: true });
+    }
+
+    // Remove expired entries; returns how many were deleted
+    prune() {
+        let removed = 0;
+        fs.readdirSync(this.cacheDir)
+            .filter(fileName => fileName.endsWith('.json'))
+            .forEach(fileName => {
+                const entryFile = path.join(this.cacheDir, fileName);
+                try {
+                    const entry = JSON.parse(fs.readFileSync(entryFile, 'utf8'));
+                    if (new Date(entry.expiresAt).getTime() <= Date.now()) {
+                        fs.unlinkSync(entryFile);
+                        removed++;
+                    }
+                } catch (error) {
+                    // Unreadable entries are useless - drop them too
+                    fs.rmSync(entryFile, { force: true });
+                    removed++;
+                }
+            });
+        return removed;
+    }
+}
+
+module.exports = TtlCache;
@@ -0,0 +1,164 @@
+const WmiTable = require('./wmi');
+
+// Model year characters (VIN position 10); the 30-character cycle repeats, so each maps to two years
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const FIRST_CYCLE_START = 1980;
+
+// Ford Motor Company models by VIN prefix (WMI plus the line/series/body characters of the VDS), for the
+// vehicles common in the fleet. First match wins, so narrower patterns come first; `years` limits a pattern
+// to the model years it was used (Ford reused some codes once a model was dropped).
+const FORD_MODELS = [
+    // Pickups and chassis cabs: position 5 = cab, position 6 = series (1 = F-150, 2 = F-250, ...)
+    { model: 'Ranger', pattern: /^1FT[CYZ]R1/, years: [1983, 2011] },
+    { model: 'Ranger', pattern: /^1FTER/, years: [2019] },
+    { model: 'F-150', pattern: /^1FT[EFMNPRV][FWX]1/ },
+    { model: 'F-250', pattern: /^1FT([78S][FWX]|BF)2/ },
+    { model: 'F-350', pattern: /^1F[TD]([078SU][FWX]|BF)3/ },
+    { model: 'F-450', pattern: /^1F[TD][078U][FWX]4/ },
+    { model: 'F-550', pattern: /^1FD[078U][FWX]5/ },
+    { model: 'F-650', pattern: /^3F[DR][A-Z0-9]F6/ },
+    { model: 'F-750', pattern: /^3F[DR][A-Z0-9]F7/ },
+    { model: 'Maverick', pattern: /^3FTTW/ },
+
+    // Vans: E-Series vans ended with 2014 (cutaways continue), the Transit replaced them from 2015
+    { model: 'E-150', pattern: /^1F[BCDT][A-Z0-9]E1/, years: [1992, 2014] },
+    { model: 'E-250', pattern: /^1F[BCDT][A-Z0-9]E2/, years: [1992, 2014] },
+    { model: 'E-350', pattern: /^1F[BCDT][A-Z0-9]E3/ },
+    { model: 'E-450', pattern: /^1F[BCDT][A-Z0-9]E4/ },
+    { model: 'Transit', pattern: /^1F[BCDT][A-Z0-9][ERSWXYZ][1-4]/, years: [2015] },
+    { model: 'Transit Connect', pattern: /^NM0/ },
+
+    // SUVs and crossovers
+    { model: 'Explorer', pattern: /^1FM(5K|SK|EU|ZU|DU)/, aliases: ['Police Interceptor Utility', 'PIU'] },
+    { model: 'Escape', pattern: /^1FM(CU|YU)/ },
+    { model: 'Expedition', pattern: /^1FM(JU|FU|PU|JK|FK)/ },
+    { model: 'Bronco Sport', pattern: /^3FMCR/ },
+    { model: 'Bronco', pattern: /^1FM(DE|EE)/ },
+    { model: 'Edge', pattern: /^2FM(DK|PK|TK)/ },
+    { model: 'Flex', pattern: /^2FM(GK|HK)/ },
+    { model: 'EcoSport', pattern: /^MAJ6/ },
+    { model: 'Mustang Mach-E', pattern: /^3FMTK/ },
+
+    // Cars
+    { model: 'Mustang', pattern: /^(1ZV|1FA(6P8|FP4))/ },
+    { model: 'Focus', pattern: /^[13]FA(DP3|FP3|HP3)/ },
+    { model: 'Fusion', pattern: /^3FA(6P0|HP0|FP0)/ },
+    { model: 'Taurus', pattern: /^1FA(HP2|6P2|FP5)/, aliases: ['Police Interceptor Sedan'] },
+    { model: 'Crown Victoria', pattern: /^2FA(FP7|HP7)/, aliases: ['Police Interceptor'] },
+
+    // Lincoln and Mercury
+    { model: 'Navigator', pattern: /^5LM(JJ|FU)/ },
+    { model: 'Aviator', pattern: /^5LM(5J|YJ)/ },
+    { model: 'MKZ', pattern: /^3LN(6L|HL)/ },
+    { model: 'Town Car', pattern: /^[12]LNHM8/ },
+    { model: 'Grand Marquis', pattern: /^2ME(FM7|HM7)/ },
+    { model: 'Mariner', pattern: /^4M2(CU|YU)/ },
+    { model: 'Mountaineer', pattern: /^4M2(EU|DU|ZU)/ },
+    { model: 'Milan', pattern: /^3MEHM0/ }
+];
+
+// Other spellings of makes seen in CMMS exports
+const MAKE_ALIASES = {
+    CHEVY: 'CHEVROLET',
+    GM: 'GENERALMOTORS',
+    INTL: 'INTERNATIONAL',
+    MB: 'MERCEDESBENZ',
+    MERCEDES: 'MERCEDESBENZ',
+    VW: 'VOLKSWAGEN'
+};
+
+// Decodes what a VIN itself says about the vehicle, without any network lookup: make and manufacturer
+// (WMI, positions 1-3), model year (position 10) and, for Ford Motor Company VINs, the model
+class VinDecoder {
+    constructor(options = {}) {
+        this.wmiTable = options.wmiTable || new WmiTable();
+        this.now = options.now || (() => new Date());
+    }
+
+    // { wmi, make, manufacturer, year, model }; fields the VIN doesn't reveal are null
+    decode(vin) {
+        const normalizedVin = String(vin || '').trim().toUpperCase();
+        const wmi = this.wmiTable.lookup(normalizedVin);
+        const year = this.decodeYear(normalizedVin);
+        return {
+            wmi: wmi.code,
+            make: wmi.make,
+            manufacturer: wmi.manufacturer,
+            year,
+            model: wmi.manufacturer === 'Ford Motor Company' ? decodeFordModel(normalizedVin, year) : null
+        };
+    }
+
+    // Position 10 gives the year within a 30-year cycle. North American light vehicles tell the cycles
+    // apart with position 7 (a digit up to 2009, a letter from 2010); other VINs get the latest year
+    // that isn't past next year.
+    decodeYear(vin) {
+        if (vin.length !== 17) {
+            return null;
+        }
+        const index = YEAR_CODES.indexOf(vin[9]);
+        if (index === -1) {
+            return null;
+        }
+
+        const latestYear = this.now().getFullYear() + 1;
+        const earlier = FIRST_CYCLE_START + index;
+        const later = earlier + YEAR_CODES.length;
+        if (/^[1-5]/.test(vin) && later <= latestYear) {
+            return /[0-9]/.test(vin[6]) ? earlier : later;
+        }
+        return later <= latestYear ? later : earlier;
+    }
+
+    // Input values the decoded VIN contradicts, as "FIELD input (VIN: decoded)" notes; fields the VIN
+    // doesn't reveal and blank input values are never flagged
+    findMismatches(decoded, values = {}) {
+        const mismatches = [];
+
+        const inputYear = parseInt(String(values.year || '').trim(), 10);
+        if (decoded.year && inputYear >= 1900 && inputYear !== decoded.year) {
+            mismatches.push(`YEAR ${inputYear} (VIN: ${decoded.year})`);
+        }
+
+        const inputManufacturer = normalizeName(values.manufacturer);
+        if (decoded.make && inputManufacturer) {
+            const names = [...decoded.make.split('/'), decoded.manufacturer].map(normalizeName);
+            const inputName = MAKE_ALIASES[inputManufacturer] || inputManufacturer;
+            if (!names.some(name => name.includes(inputName) || inputName.includes(name))) {
+                mismatches.push(`MANUFACTURER ${String(values.manufacturer).trim()} (VIN: ${decoded.make})`);
+            }
+        }
+
+        const inputModel = normalizeName(values.model);
+        if (decoded.model && inputModel) {
+            const entry = FORD_MODELS.find(candidate => candidate.model === decoded.model);
+            const names = [decoded.model, ...((entry && entry.aliases) || [])].map(normalizeName);
+            if (!names.some(name => name.includes(inputModel) || inputModel.includes(name))) {
+                mismatches.push(`MODEL ${String(values.model).trim()} (VIN: ${decoded.model})`);
+            }
+        }
+
+        return mismatches;
+    }
+}
+
+function decodeFordModel(vin, year) {
+    const entry = FORD_MODELS.find(candidate => {
+        if (!candidate.pattern.test(vin)) {
+            return false;
+        }
+        if (!candidate.years || !year) {
+            return true;
+        }
+        const [from, to] = candidate.years;
+        return year >= from && (!to || year <= to);
+    });
+    return entry ? entry.model : null;
+}
+
+// "F-150 XLT" -> "F150XLT", so spelling, spacing and punctuation don't count as a mismatch
+function normalizeName(value) {
+    return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+module.exports = VinDecoder;
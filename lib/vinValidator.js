@@ -0,0 +1,149 @@
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+const VIN_CHARACTERS = '0123456789ABCDEFGHJKLMNPRSTUVWXYZ';
+
+// Check digit (position 9) calculation: each character's value times its position's weight, sum mod 11
+const CHARACTER_VALUES = {
+    A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+    J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+    S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const POSITION_WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const CHECK_DIGIT_INDEX = 8;
+
+// Only VINs built for North America (first character 1-5) are required to carry the check digit; European
+// and Asian VINs (W..., J..., M...) often have an ordinary character in position 9
+const CHECK_DIGIT_REGION = /^[1-5]/;
+
+// Letters VINs never use, and what they were most likely meant to be
+const EXCLUDED_LETTERS = { O: '0', Q: '0', I: '1' };
+
+// Characters commonly mistyped or misread for each other
+const LOOK_ALIKES = {
+    '0': ['D'], '1': ['L', '7'], '2': ['Z'], '3': ['8'], '5': ['S'], '6': ['G'], '7': ['1'], '8': ['B', '3'],
+    B: ['8'], D: ['0'], G: ['6'], L: ['1'], S: ['5'], Z: ['2']
+};
+
+const MAX_SUGGESTIONS = 5;
+
+// Reason codes for the Invalid VINs sheet and the API
+const REASON_CODES = {
+    EMPTY: 'EMPTY',
+    TOO_SHORT: 'TOO_SHORT',
+    WRONG_LENGTH: 'WRONG_LENGTH',
+    EXCLUDED_LETTER: 'EXCLUDED_LETTER',
+    INVALID_CHARACTERS: 'INVALID_CHARACTERS',
+    CHECK_DIGIT: 'CHECK_DIGIT',
+    NOT_FOUND: 'NOT_FOUND' // Auto-detect found no VIN in any column of the row
+};
+
+// Normalizes VINs as typed into the CMMS (case, spaces, dashes) and rejects ones that can't be right:
+// wrong length, characters VINs don't use, or (North American VINs) a position-9 check digit that doesn't match. Rejected VINs
+// come with likely corrections (I/O/Q as 1/0/0, swapped neighbours, look-alike characters).
+class VinValidator {
+    constructor(options = {}) {
+        this.checkDigit = options.checkDigit !== false; // false = accept VINs whose check digit doesn't match
+    }
+
+    // Whether the VIN's check digit is verified (North American VINs, unless checking is turned off)
+    checksDigit(vin) {
+        return this.checkDigit && CHECK_DIGIT_REGION.test(vin);
+    }
+
+    // { vin, valid, code, reason, suggestions }; vin is the normalized value
+    validate(value) {
+        const vin = normalizeVin(value);
+        const invalid = (code, reason, suggestions = []) => ({ vin, valid: false, code, reason, suggestions });
+
+        if (!vin) {
+            return invalid(REASON_CODES.EMPTY, 'VIN is empty or missing');
+        }
+        if (vin.length < 10) {
+            return invalid(REASON_CODES.TOO_SHORT, `VIN is only ${vin.length} characters (must be at least 10)`);
+        }
+        if (vin.length !== 17) {
+            return invalid(REASON_CODES.WRONG_LENGTH, `VIN is ${vin.length} characters (must be exactly 17)`);
+        }
+
+        if (!VIN_PATTERN.test(vin)) {
+            const excluded = Array.from(new Set(vin.split('').filter(character => EXCLUDED_LETTERS[character])));
+            const corrected = vin.replace(/[IOQ]/g, character => EXCLUDED_LETTERS[character]);
+            if (excluded.length === 0 || !VIN_PATTERN.test(corrected)) {
+                return invalid(REASON_CODES.INVALID_CHARACTERS, 'VIN contains invalid characters');
+            }
+            const suggestions = !this.checksDigit(corrected) || isCheckDigitValid(corrected) ? [corrected] : suggestCheckDigitFixes(corrected);
+            return invalid(REASON_CODES.EXCLUDED_LETTER, `VIN contains ${excluded.join('/')} (not used in VINs)`, suggestions);
+        }
+
+        if (this.checksDigit(vin) && !isCheckDigitValid(vin)) {
+            return invalid(
+                REASON_CODES.CHECK_DIGIT,
+                `Check digit (position 9) is ${vin[CHECK_DIGIT_INDEX]} but the VIN works out to ${computeCheckDigit(vin)} - likely a typo`,
+                suggestCheckDigitFixes(vin)
+            );
+        }
+
+        return { vin, valid: true, code: null, reason: null, suggestions: [] };
+    }
+}
+
+// Upper case, without spaces, dashes and other separators people type into VINs
+function normalizeVin(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return value.toString().toUpperCase().replace(/[\s\-_.]/g, '');
+}
+
+// '0'-'9' or 'X' for a 17-character VIN of valid VIN characters
+function computeCheckDigit(vin) {
+    const sum = vin.split('').reduce((total, character, index) => {
+        const value = /[0-9]/.test(character) ? Number(character) : CHARACTER_VALUES[character];
+        return total + value * POSITION_WEIGHTS[index];
+    }, 0);
+    const remainder = sum % 11;
+    return remainder === 10 ? 'X' : String(remainder);
+}
+
+function isCheckDigitValid(vin) {
+    return computeCheckDigit(vin) === vin[CHECK_DIGIT_INDEX];
+}
+
+// Likely corrections that make the check digit match, most likely first: two neighbouring characters
+// swapped, one look-alike character replaced, any other single character replaced, and (always listed
+// last) the check digit itself being the typo
+function suggestCheckDigitFixes(vin) {
+    const checkDigitFix = vin.slice(0, CHECK_DIGIT_INDEX) + computeCheckDigit(vin) + vin.slice(CHECK_DIGIT_INDEX + 1);
+    const suggestions = [];
+    const add = candidate => {
+        // Corrections stay North American VINs, the only ones whose check digit is verified
+        if (candidate !== checkDigitFix && VIN_PATTERN.test(candidate) && CHECK_DIGIT_REGION.test(candidate) &&
+            isCheckDigitValid(candidate) && !suggestions.includes(candidate)) {
+            suggestions.push(candidate);
+        }
+    };
+
+    for (let index = 0; index < vin.length - 1; index++) {
+        if (index !== CHECK_DIGIT_INDEX && index + 1 !== CHECK_DIGIT_INDEX && vin[index] !== vin[index + 1]) {
+            add(vin.slice(0, index) + vin[index + 1] + vin[index] + vin.slice(index + 2));
+        }
+    }
+    vin.split('').forEach((character, index) => {
+        if (index !== CHECK_DIGIT_INDEX) {
+            (LOOK_ALIKES[character] || []).forEach(lookAlike => add(vin.slice(0, index) + lookAlike + vin.slice(index + 1)));
+        }
+    });
+    for (let index = 0; index < vin.length; index++) {
+        if (index !== CHECK_DIGIT_INDEX) {
+            VIN_CHARACTERS.split('').forEach(replacement => add(vin.slice(0, index) + replacement + vin.slice(index + 1)));
+        }
+    }
+
+    return [...suggestions.slice(0, MAX_SUGGESTIONS - 1), checkDigitFix];
+}
+
+module.exports = VinValidator;
+module.exports.REASON_CODES = REASON_CODES;
+module.exports.normalizeVin = normalizeVin;
+module.exports.computeCheckDigit = computeCheckDigit;
+module.exports.suggestCheckDigitFixes = suggestCheckDigitFixes;
+module.exports.MAX_SUGGESTIONS = MAX_SUGGESTIONS;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+// Posts signed JSON payloads about job lifecycle events to the configured webhook targets.
+// Each body is signed with HMAC-SHA256 over "<timestamp>.<body>" so receivers can verify it came
+// from this server; failed deliveries are retried with exponential backoff.
+class WebhookNotifier {
+    constructor(options = {}) {
+        this.targets = parseWebhookTargets(options.targets);
+        this.secret = options.secret || '';
+        this.maxAttempts = Math.max(1, parseInt(options.maxAttempts, 10) || 5);
+        this.retryDelayMs = Math.max(0, parseInt(options.retryDelayMs, 10) || 5000); // Doubles after every failed attempt
+        this.timeoutMs = Math.max(1000, parseInt(options.timeoutMs, 10) || 10000);
+    }
+
+    isEnabled() {
+        return this.targets.length > 0;
+    }
+
+    // Deliver an event to every target subscribed to it; resolves once all deliveries succeeded or gave up
+    send(event, data) {
+        const targets = this.targets.filter(target => !target.events || target.events.includes(event));
+        if (targets.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            createdAt: new Date().toISOString(),
+            data
+        };
+        const body = JSON.stringify(payload);
+
+        return Promise.all(targets.map(target => this.deliver(target, event, payload.id, body)));
+    }
+
+    async deliver(target, event, deliveryId, body) {
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            let failure;
+
+            try {
+                const response = await fetch(target.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'vin-recall-scraper-webhooks',
+                        'X-Webhook-Event': event,
+                        'X-Webhook-Id': deliveryId, // Same on every retry so receivers can ignore duplicates
+                        'X-Webhook-Timestamp': timestamp,
+                        'X-Webhook-Attempt': String(attempt),
+                        ...(this.secret ? { 'X-Webhook-Signature': `sha256=${this.sign(timestamp, body)}` } : {})
+                    },
+                    body,
+                    signal: AbortSignal.timeout(this.timeoutMs)
+                });
+
+                if (response.ok) {
+                    console.log(`🪝 Webhook ${event} delivered to ${target.url}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+                    return { url: target.url, delivered: true, attempts: attempt };
+                }
+
+                failure = `HTTP ${response.status}`;
+                // Other client errors won't succeed on retry (bad URL, rejected signature...)
+                if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+                    attempt = this.maxAttempts;
+                }
+            } catch (error) {
+                failure = error.message;
+            }
+
+            if (attempt >= this.maxAttempts) {
+                console.error(`❌ Webhook ${event} to ${target.url} failed after ${attempt} attempt(s): ${failure}`);
+                return { url: target.url, delivered: false, attempts: attempt, error: failure };
+            }
+
+            const delayMs = this.retryDelayMs * Math.pow(2, attempt - 1);
+            console.warn(`⚠️ Webhook ${event} to ${target.url} failed (${failure}) - retrying in ${Math.round(delayMs / 1000)}s`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+
+    sign(timestamp, body) {
+        return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+}
+
+// "https://a/hook, https://b/hook|job.failed|job.completed" -> [{ url, events }] (events null = every event)
+function parseWebhookTargets(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+
+    return String(value || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const [url, ...events] = entry.split('|').map(part => part.trim()).filter(Boolean);
+            return { url, events: events.length > 0 ? events : null };
+        });
+}
+
+module.exports = WebhookNotifier;
+module.exports.parseWebhookTargets = parseWebhookTargets;
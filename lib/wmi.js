@@ -0,0 +1,97 @@
+// World Manufacturer Identifiers (VIN positions 1-3) of the makes seen in the fleet. Not every WMI in
+// existence - codes missing here can be added with WMI_OVERRIDES until the table is updated.
+const MANUFACTURERS = [
+    // Ford Motor Company (US, Canada, Mexico, Turkey, Germany and other plants)
+    { make: 'Ford', manufacturer: 'Ford Motor Company', wmis: ['1FA', '1FB', '1FC', '1FD', '1FM', '1FT', '1ZV', '2FA', '2FB', '2FC', '2FD', '2FM', '2FT', '3FA', '3FC', '3FD', '3FE', '3FM', '3FT', '6FP', 'MAJ', 'NM0', 'WF0'] },
+    { make: 'Lincoln', manufacturer: 'Ford Motor Company', wmis: ['1L1', '1LN', '2LM', '3LN', '5LM', '5LT'] },
+    { make: 'Mercury', manufacturer: 'Ford Motor Company', wmis: ['1ME', '2ME', '2MR', '3ME', '4M2'] },
+
+    // General Motors
+    { make: 'Chevrolet', manufacturer: 'General Motors', wmis: ['1G1', '1GA', '1GB', '1GC', '1GN', '2G1', '2GC', '2GN', '3G1', '3GC', '3GN', 'KL1'] },
+    { make: 'GMC', manufacturer: 'General Motors', wmis: ['1GD', '1GK', '1GT', '2GK', '2GT', '3GK', '3GT'] },
+    { make: 'Buick', manufacturer: 'General Motors', wmis: ['1G4', '2G4', 'KL4'] },
+    { make: 'Cadillac', manufacturer: 'General Motors', wmis: ['1G6', '1GY'] },
+
+    // Stellantis (shared WMIs cover several brands)
+    { make: 'Chrysler/Dodge/Jeep/Ram', manufacturer: 'FCA US', wmis: ['1C3', '1C4', '1C6', '2C3', '2C4', '3C4', '3C6', '3C7'] },
+    { make: 'Dodge', manufacturer: 'FCA US', wmis: ['1B3', '1B7', '1D7', '2B3', '2D3', '3B7', '3D7'] },
+    { make: 'Jeep', manufacturer: 'FCA US', wmis: ['1J4', '1J8'] },
+
+    // Asian makes
+    { make: 'Toyota', manufacturer: 'Toyota Motor Corporation', wmis: ['2T1', '2T3', '4T1', '4T3', '4T4', '4TA', '5TB', '5TD', '5TE', '5TF', 'JTD', 'JTE', 'JTK', 'JTL', 'JTM', 'JTN'] },
+    { make: 'Lexus', manufacturer: 'Toyota Motor Corporation', wmis: ['2T2', 'JTH', 'JTJ'] },
+    { make: 'Honda', manufacturer: 'Honda Motor Company', wmis: ['1HG', '2HG', '2HK', '5FN', '5J6', 'JHM'] },
+    { make: 'Nissan', manufacturer: 'Nissan Motor Company', wmis: ['1N4', '1N6', '3N1', '3N6', '5N1', 'JN1', 'JN6', 'JN8'] },
+    { make: 'Hyundai', manufacturer: 'Hyundai Motor Company', wmis: ['5NM', '5NP', 'KMH'] },
+    { make: 'Kia', manufacturer: 'Kia Corporation', wmis: ['5XX', '5XY', 'KNA', 'KND'] },
+    { make: 'Mazda', manufacturer: 'Mazda Motor Corporation', wmis: ['JM1', 'JM3'] },
+    { make: 'Subaru', manufacturer: 'Subaru Corporation', wmis: ['4S3', '4S4', 'JF1', 'JF2'] },
+    { make: 'Isuzu', manufacturer: 'Isuzu Motors', wmis: ['4KL', 'JAA', 'JAL', 'JAB'] },
+    { make: 'Hino', manufacturer: 'Hino Motors', wmis: ['2AY', '5PV', 'JHH'] },
+    { make: 'Mitsubishi Fuso', manufacturer: 'Mitsubishi Fuso Truck and Bus', wmis: ['JL6', 'JLS'] },
+
+    // European makes
+    { make: 'Mercedes-Benz', manufacturer: 'Mercedes-Benz Group', wmis: ['4JG', '55S', 'W1K', 'W1N', 'W1W', 'W1Y', 'WD3', 'WD4', 'WDA', 'WDB', 'WDC', 'WDD'] },
+    { make: 'Volkswagen', manufacturer: 'Volkswagen Group', wmis: ['1VW', '3VW', 'WVG', 'WVW'] },
+
+    // Trucks, buses and trailers
+    { make: 'Freightliner', manufacturer: 'Daimler Truck North America', wmis: ['1FU', '1FV', '3AK', '4UZ'] },
+    { make: 'International', manufacturer: 'Navistar', wmis: ['1HT', '3HA', '3HT'] },
+    { make: 'Kenworth', manufacturer: 'PACCAR', wmis: ['1XK', '2XK'] },
+    { make: 'Peterbilt', manufacturer: 'PACCAR', wmis: ['1XP', '2XP'] },
+    { make: 'Mack', manufacturer: 'Volvo Group', wmis: ['1M1', '1M2'] },
+    { make: 'Volvo', manufacturer: 'Volvo Group', wmis: ['4V4', '4V5'] },
+    { make: 'Blue Bird', manufacturer: 'Blue Bird Corporation', wmis: ['1BA', '1BB'] },
+    { make: 'Wabash', manufacturer: 'Wabash National', wmis: ['1JJ'] },
+    { make: 'Great Dane', manufacturer: 'Great Dane', wmis: ['1GR'] },
+
+    // Electric vehicles
+    { make: 'Tesla', manufacturer: 'Tesla', wmis: ['5YJ', '7G2', '7SA'] }
+];
+
+// Looks up the make behind a VIN's WMI
+class WmiTable {
+    constructor(options = {}) {
+        this.makes = new Map();
+        MANUFACTURERS.forEach(({ make, manufacturer, wmis }) => {
+            wmis.forEach(code => this.makes.set(code, { make, manufacturer }));
+        });
+
+        // Local additions and corrections win over the bundled table (known makes keep their spelling and manufacturer)
+        parseWmiOverrides(options.overrides).forEach((make, code) => {
+            const known = MANUFACTURERS.find(entry => entry.make.toLowerCase() === make.toLowerCase());
+            this.makes.set(code, known ? { make: known.make, manufacturer: known.manufacturer } : { make, manufacturer: make });
+        });
+    }
+
+    // { code, make, manufacturer }; make and manufacturer are null for codes not in the table
+    lookup(vin) {
+        const code = String(vin || '').slice(0, 3).toUpperCase();
+        const entry = this.makes.get(code);
+        return {
+            code,
+            make: entry ? entry.make : null,
+            manufacturer: entry ? entry.manufacturer : null
+        };
+    }
+}
+
+// "1ZZ=Ford, 9BF=Ford" -> Map of WMI -> make
+function parseWmiOverrides(value) {
+    const overrides = new Map();
+    String(value || '').split(',').forEach(entry => {
+        const separator = entry.indexOf('=');
+        if (separator === -1) {
+            return;
+        }
+        const code = entry.slice(0, separator).trim().toUpperCase();
+        const make = entry.slice(separator + 1).trim();
+        if (/^[A-HJ-NPR-Z0-9]{3}$/.test(code) && make) {
+            overrides.set(code, make);
+        }
+    });
+    return overrides;
+}
+
+module.exports = WmiTable;
+module.exports.parseWmiOverrides = parseWmiOverrides;
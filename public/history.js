@@ -0,0 +1,162 @@
+function loadHistory() {
+    fetch('/runs')
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error loading run history');
+                return;
+            }
+            renderRetention(data.retention, data.runs.length);
+            renderRuns(data.runs);
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+function renderRetention(retention, runCount) {
+    const limits = [];
+    if (retention.maxRuns > 0) {
+        limits.push(`the newest ${retention.maxRuns} runs`);
+    }
+    if (retention.maxAgeDays > 0) {
+        limits.push(`runs from the last ${retention.maxAgeDays} days`);
+    }
+
+    const policy = limits.length > 0
+        ? `Output files are kept for ${limits.join(' and ')}.`
+        : 'Output files are kept until deleted.';
+    document.getElementById('historySummary').textContent = `${runCount} run(s) on record. ${policy}`;
+}
+
+function renderRuns(runs) {
+    const historyContent = document.getElementById('historyContent');
+
+    if (runs.length === 0) {
+        historyContent.innerHTML = '<div class="history-empty">No runs yet.</div>';
+        return;
+    }
+
+    const rows = runs.map(run => `
+        <tr>
+            <td>${formatDateTime(run.completedAt || run.startedAt)}</td>
+            <td>${escapeHtml(run.requestedBy || '-')}</td>
+            <td>${escapeHtml(run.fileName || '-')}</td>
+            <td>${run.vinCount}</td>
+            <td>${run.fordSuccessCount} ok / ${run.fordFailedCount} failed</td>
+            <td>${run.docsearchSuccessCount} ok / ${run.docsearchFailedCount} failed</td>
+            <td>
+                <span class="history-status ${run.status}">${run.status}</span>
+                ${run.retryCount > 0 ? `<div class="history-note">retried ${run.retryCount}x</div>` : ''}
+            </td>
+            <td>
+                <div class="history-actions">
+                    ${run.outputFile ? `<button type="button" class="small-btn" onclick="downloadRun('${encodeURIComponent(run.outputFile)}')">Download</button>` : ''}
+                    ${hasDiagnostics(run) ? `<button type="button" class="small-btn" onclick="downloadDiagnostics('${encodeURIComponent(run.id)}')" title="${run.evidenceCount || 0} failure(s) captured">Diagnostics</button>` : ''}
+                    ${canRetry(run) ? `<button type="button" class="small-btn" onclick="retryFailures('${encodeURIComponent(run.id)}')">Retry failures</button>` : ''}
+                    <button type="button" class="small-btn danger" onclick="deleteRun('${encodeURIComponent(run.id)}')">Delete</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+
+    historyContent.innerHTML = `
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>When</th>
+                    <th>Who</th>
+                    <th>Input File</th>
+                    <th>VINs</th>
+                    <th>Ford</th>
+                    <th>DocSearch</th>
+                    <th>Status</th>
+                    <th>Output</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function downloadRun(encodedFileName) {
+    window.open(`/download/${encodedFileName}`, '_blank');
+}
+
+// Finished runs with failed lookups (or stopped early) can re-scrape just the failures
+function canRetry(run) {
+    const finished = run.status === 'completed' || run.status === 'failed';
+    return finished && (run.fordFailedCount > 0 || run.docsearchFailedCount > 0 || run.status === 'failed');
+}
+
+function retryFailures(encodedRunId) {
+    hideError();
+
+    fetch(`/runs/${encodedRunId}/retry-failures`, { method: 'POST' })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error retrying run');
+                return;
+            }
+            // Follow the retry's progress on the main page
+            window.location.href = `/?job=${encodedRunId}`;
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+// Failed/cancelled runs, runs with captured failures and debug-mode runs have something worth bundling
+function hasDiagnostics(run) {
+    return run.evidenceCount > 0 || run.traceAll || run.status !== 'completed';
+}
+
+function downloadDiagnostics(encodedRunId) {
+    window.open(`/runs/${encodedRunId}/diagnostics`, '_blank');
+}
+
+function deleteRun(encodedRunId) {
+    if (!confirm('Delete this run and its output file? This cannot be undone.')) {
+        return;
+    }
+
+    fetch(`/runs/${encodedRunId}`, { method: 'DELETE' })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error deleting run');
+                return;
+            }
+            hideError();
+            loadHistory();
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+function formatDateTime(isoString) {
+    if (!isoString) return '-';
+    return new Date(isoString).toLocaleString();
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+}
+
+function showError(message) {
+    document.getElementById('errorMessage').textContent = message;
+    document.getElementById('errorSection').style.display = 'block';
+}
+
+function hideError() {
+    document.getElementById('errorSection').style.display = 'none';
+}
+
+document.addEventListener('DOMContentLoaded', loadHistory);
@@ -0,0 +1,190 @@
+function loadSchedules() {
+    fetch('/scheduled-scans')
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error loading scheduled scans');
+                return;
+            }
+            renderSchedules(data.schedules);
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+function renderSchedules(schedules) {
+    const schedulesContent = document.getElementById('schedulesContent');
+
+    if (schedules.length === 0) {
+        schedulesContent.innerHTML = '<div class="history-empty">No scheduled scans yet.</div>';
+        return;
+    }
+
+    const rows = schedules.map(schedule => `
+        <tr>
+            <td>${escapeHtml(schedule.name)}</td>
+            <td><code>${escapeHtml(schedule.cron)}</code></td>
+            <td>${escapeHtml(schedule.fileName || schedule.watchPath || '-')}${schedule.watchPath ? '<div class="history-note">watched path</div>' : ''}</td>
+            <td>${schedule.enabled ? formatDateTime(schedule.nextRunAt) : 'Disabled'}</td>
+            <td>
+                ${schedule.running ? '<span class="history-status">running</span>' : formatLastRun(schedule)}
+                ${schedule.lastError ? `<div class="history-note">${escapeHtml(schedule.lastError)}</div>` : ''}
+            </td>
+            <td>
+                <div class="history-actions">
+                    ${schedule.running ? '' : `<button type="button" class="small-btn" onclick="runSchedule('${encodeURIComponent(schedule.id)}')">Run now</button>`}
+                    <button type="button" class="small-btn" onclick="toggleSchedule('${encodeURIComponent(schedule.id)}', ${!schedule.enabled})">${schedule.enabled ? 'Disable' : 'Enable'}</button>
+                    <button type="button" class="small-btn danger" onclick="deleteSchedule('${encodeURIComponent(schedule.id)}')">Delete</button>
+                </div>
+            </td>
+        </tr>
+    `).join('');
+
+    schedulesContent.innerHTML = `
+        <table class="history-table">
+            <thead>
+                <tr>
+                    <th>Name</th>
+                    <th>Schedule</th>
+                    <th>Fleet File</th>
+                    <th>Next Run</th>
+                    <th>Last Run</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function formatLastRun(schedule) {
+    if (!schedule.lastRunAt) {
+        return '-';
+    }
+    return `${formatDateTime(schedule.lastRunAt)} <span class="history-status ${schedule.lastStatus}">${schedule.lastStatus}</span>`;
+}
+
+function createSchedule(event) {
+    event.preventDefault();
+    hideError();
+
+    const fileInput = document.getElementById('scheduleFileInput');
+    const watchPath = document.getElementById('scheduleWatchInput').value.trim();
+    if (fileInput.files.length === 0 && !watchPath) {
+        showError('Choose a fleet file or enter a watched path');
+        return;
+    }
+
+    const formData = new FormData();
+    formData.append('name', document.getElementById('scheduleNameInput').value.trim());
+    formData.append('cron', document.getElementById('scheduleCronInput').value.trim());
+    formData.append('watchPath', watchPath);
+    formData.append('forceRefresh', document.getElementById('scheduleForceRefreshInput').checked ? 'true' : 'false');
+    formData.append('traceAll', document.getElementById('scheduleTraceAllInput').checked ? 'true' : 'false');
+    if (fileInput.files.length > 0) {
+        formData.append('fleetFile', fileInput.files[0]);
+    }
+
+    fetch('/scheduled-scans', { method: 'POST', body: formData })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error creating scheduled scan');
+                return;
+            }
+            document.getElementById('scheduleForm').reset();
+            loadSchedules();
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+function runSchedule(encodedScheduleId) {
+    hideError();
+
+    fetch(`/scheduled-scans/${encodedScheduleId}/run`, { method: 'POST' })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error starting scheduled scan');
+                return;
+            }
+            loadSchedules();
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+function toggleSchedule(encodedScheduleId, enabled) {
+    hideError();
+
+    fetch(`/scheduled-scans/${encodedScheduleId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled })
+    })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error updating scheduled scan');
+                return;
+            }
+            loadSchedules();
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+function deleteSchedule(encodedScheduleId) {
+    if (!confirm('Delete this scheduled scan? Runs it already made stay in the run history.')) {
+        return;
+    }
+
+    fetch(`/scheduled-scans/${encodedScheduleId}`, { method: 'DELETE' })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || 'Error deleting scheduled scan');
+                return;
+            }
+            hideError();
+            loadSchedules();
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+        });
+}
+
+function formatDateTime(isoString) {
+    if (!isoString) return '-';
+    return new Date(isoString).toLocaleString();
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+}
+
+function showError(message) {
+    document.getElementById('errorMessage').textContent = message;
+    document.getElementById('errorSection').style.display = 'block';
+}
+
+function hideError() {
+    document.getElementById('errorSection').style.display = 'none';
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('scheduleForm').addEventListener('submit', createSchedule);
+    loadSchedules();
+});
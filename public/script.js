@@ -1,4 +1,5 @@
 let selectedFile = null;
+let currentSessionId = null; // Session/job ID of the run in progress (used by pause/resume/cancel)
 
 // File input change handler
 document.getElementById('fileInput').addEventListener('change', function(e) {
@@ -99,6 +100,13 @@ function hideColumnSelection() {
     document.getElementById('columnSelection').style.display = 'none';
 }
 
+// Name recorded with each run in the history (remembered between visits)
+function getRequestedBy() {
+    const name = document.getElementById('requestedByInput').value.trim();
+    localStorage.setItem('requestedBy', name);
+    return name;
+}
+
 function getSelectedColumn() {
     // Always use auto-detection now
     return 'auto';
@@ -150,12 +158,16 @@ function processFile() {
     }
 
     const selectedColumn = getSelectedColumn();
-    const sessionId = Date.now().toString();
+    // Random suffix so two uploads started in the same millisecond don't share a job
+    const sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
     
     const formData = new FormData();
     formData.append('excelFile', selectedFile);
     formData.append('vinColumn', selectedColumn);
     formData.append('sessionId', sessionId);
+    formData.append('requestedBy', getRequestedBy());
+    formData.append('forceRefresh', document.getElementById('forceRefreshInput').checked ? 'true' : 'false');
+    formData.append('traceAll', document.getElementById('traceAllInput').checked ? 'true' : 'false');
 
     // Show progress and update detection message
     showProgress();
@@ -167,19 +179,81 @@ function processFile() {
     document.getElementById('processBtn').disabled = true;
 
     // Start listening for SSE updates
+    const eventSource = watchProgress(sessionId);
+
+    fetch('/upload', {
+        method: 'POST',
+        body: formData
+    })
+    .then(response => response.json())
+    .then(data => {
+        if (data.cancelled) {
+            // The "cancelled" progress event already updated the page
+            return;
+        }
+        if (!data.success) {
+            hideProgress();
+            showError(data.error || 'An error occurred while processing the file');
+            updateDetectionMessage('Failed to extract VINs from "SERIAL NO" column.', 'error');
+            document.getElementById('processBtn').disabled = false;
+        }
+    })
+    .catch(error => {
+        hideProgress();
+        showError('Network error: ' + error.message);
+        console.error('Error:', error);
+        eventSource.close();
+        document.getElementById('processBtn').disabled = false;
+    });
+}
+
+// Follow a job's progress stream (used for new uploads and when re-attaching to a running job)
+function watchProgress(sessionId) {
+    // Remember the job so a reload (or another tab) can pick the stream back up
+    localStorage.setItem('activeJobId', sessionId);
+    currentSessionId = sessionId;
+
     const eventSource = new EventSource(`/progress/${sessionId}`);
     eventSource.onmessage = function(event) {
         const data = JSON.parse(event.data);
         
-        if (data.type === 'progress') {
+        if (data.type === 'progress' || data.type === 'queued') {
             updateProgressBar(data.progress, data.message);
+        } else if (data.type === 'paused') {
+            document.getElementById('progressText').textContent = data.message;
+            setJobControlState('paused');
+        } else if (data.type === 'throttled') {
+            // Quiet hours or an hourly request cap are holding the job back
+            document.getElementById('progressText').textContent = data.message;
+        } else if (data.type === 'resumed') {
+            document.getElementById('progressText').textContent = data.message;
+            setJobControlState('running');
+        } else if (data.type === 'cancelled') {
+            eventSource.close();
+            clearActiveJob();
+            hideProgress();
+            updateDetectionMessage(data.message, 'error');
+            document.getElementById('processBtn').disabled = false;
         } else if (data.type === 'error') {
             // Handle error message
             showError(data.message);
             hideProgress();
             document.getElementById('processBtn').disabled = false;
+        } else if (data.type === 'site-changed') {
+            // The run is about to stop early; the "failed" event follows once partial results are saved
+            showError(data.message);
+        } else if (data.type === 'failed') {
+            eventSource.close();
+            clearActiveJob();
+            hideProgress();
+            showError(data.message);
+            if (data.downloadFile) {
+                updateDetectionMessage('Partial results were saved - download them from Run History.', 'error');
+            }
+            document.getElementById('processBtn').disabled = false;
         } else if (data.type === 'complete') {
             eventSource.close();
+            clearActiveJob();
             hideProgress();
             
             showResults(data.data);
@@ -225,37 +299,54 @@ function processFile() {
                 }
                 
                 const vinCount = data.data.vinCount || 0;
-                updateDetectionMessage(`Successfully processed ${vinCount} VIN numbers and found ${totalRecallSafetyCount} Safety and Recall numbers.`);
+                const cacheNote = data.data.fordCache && data.data.fordCache.hits > 0
+                    ? ` (${data.data.fordCache.hits} Ford results reused from cache)`
+                    : '';
+                updateDetectionMessage(`Successfully processed ${vinCount} VIN numbers and found ${totalRecallSafetyCount} Safety and Recall numbers.${cacheNote}`);
             }
             document.getElementById('processBtn').disabled = false;
         }
     };
     
     eventSource.onerror = function(error) {
+        // EventSource reconnects on its own and sends Last-Event-ID, so missed events are replayed
         console.error('SSE error:', error);
-        eventSource.close();
     };
 
-    fetch('/upload', {
-        method: 'POST',
-        body: formData
-    })
-    .then(response => response.json())
-    .then(data => {
-        if (!data.success) {
-            hideProgress();
-            showError(data.error || 'An error occurred while processing the file');
-            updateDetectionMessage('Failed to extract VINs from "SERIAL NO" column.', 'error');
-            document.getElementById('processBtn').disabled = false;
-        }
-    })
-    .catch(error => {
-        hideProgress();
-        showError('Network error: ' + error.message);
-        console.error('Error:', error);
-        eventSource.close();
-        document.getElementById('processBtn').disabled = false;
-    });
+    return eventSource;
+}
+
+function clearActiveJob() {
+    currentSessionId = null;
+    localStorage.removeItem('activeJobId');
+}
+
+// Re-attach to a job started earlier (?job=<id> or the last job from this browser)
+function resumeActiveJob() {
+    const jobId = new URLSearchParams(window.location.search).get('job') || localStorage.getItem('activeJobId');
+    if (!jobId) {
+        return;
+    }
+
+    fetch(`/jobs/${jobId}`)
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success || !['queued', 'running', 'paused'].includes(data.job.status)) {
+                localStorage.removeItem('activeJobId');
+                return;
+            }
+
+            showProgress();
+            hideError();
+            hideResults();
+            updateDetectionMessage(`Watching ${data.job.fileName || 'job'} (${data.job.vinCount} VINs)...`);
+            setJobControlState(data.job.status === 'paused' ? 'paused' : 'running');
+            document.getElementById('processBtn').disabled = true;
+            watchProgress(jobId);
+        })
+        .catch(error => {
+            console.error('Error re-attaching to job:', error);
+        });
 }
 
 function showProgress() {
@@ -266,6 +357,74 @@ function showProgress() {
     progressSection.style.display = 'block';
     progressFill.style.width = '0%';
     progressText.textContent = 'Processing file...';
+    setJobControlState('running');
+}
+
+// Toggle the pause/resume/cancel buttons for the current job state
+function setJobControlState(state) {
+    const pauseBtn = document.getElementById('pauseBtn');
+    const resumeBtn = document.getElementById('resumeBtn');
+    const cancelBtn = document.getElementById('cancelBtn');
+
+    pauseBtn.style.display = state === 'paused' ? 'none' : 'inline-block';
+    resumeBtn.style.display = state === 'paused' ? 'inline-block' : 'none';
+    pauseBtn.disabled = state === 'stopped';
+    resumeBtn.disabled = state === 'stopped';
+    cancelBtn.disabled = state === 'stopped';
+}
+
+function sendJobCommand(command) {
+    if (!currentSessionId) {
+        showError('No job is currently running');
+        return Promise.resolve(null);
+    }
+
+    return fetch(`/jobs/${currentSessionId}/${command}`, { method: 'POST' })
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                showError(data.error || `Could not ${command} job`);
+                return null;
+            }
+            return data;
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            showError('Network error: ' + error.message);
+            return null;
+        });
+}
+
+function pauseJob() {
+    document.getElementById('pauseBtn').disabled = true;
+    document.getElementById('progressText').textContent = 'Pausing after the current VIN...';
+    sendJobCommand('pause').then(data => {
+        document.getElementById('pauseBtn').disabled = false;
+        if (data) {
+            setJobControlState('paused');
+        }
+    });
+}
+
+function resumeJob() {
+    sendJobCommand('resume').then(data => {
+        if (data) {
+            setJobControlState('running');
+        }
+    });
+}
+
+function cancelJob() {
+    if (!confirm('Cancel this job? Results scraped so far will be kept on the server, but no output file will be created.')) {
+        return;
+    }
+    setJobControlState('stopped');
+    document.getElementById('progressText').textContent = 'Cancelling and closing browsers...';
+    sendJobCommand('cancel').then(data => {
+        if (!data) {
+            setJobControlState('running');
+        }
+    });
 }
 
 function updateProgressBar(progress, message) {
@@ -376,6 +535,106 @@ function downloadResults() {
     }
 }
 
+// Quick lookup of a single VIN (Ford recalls and the EA number for each)
+function quickLookup() {
+    const vinInput = document.getElementById('lookupVinInput');
+    const lookupBtn = document.getElementById('lookupBtn');
+    const lookupResult = document.getElementById('lookupResult');
+    // Spaces and dashes are dropped; the server checks the rest (length, characters, check digit)
+    const vin = vinInput.value.toUpperCase().replace(/[\s\-_.]/g, '');
+
+    if (!vin) {
+        lookupResult.innerHTML = '<p class="lookup-error">Enter a 17-character VIN.</p>';
+        lookupResult.style.display = 'block';
+        return;
+    }
+
+    lookupBtn.disabled = true;
+    lookupBtn.textContent = 'Looking up...';
+    lookupResult.innerHTML = `<p>Checking Ford and DocSearch for ${escapeHtml(vin)}... this can take up to a minute.</p>`;
+    lookupResult.style.display = 'block';
+
+    fetch(`/api/v1/vins/${encodeURIComponent(vin)}/recalls`)
+        .then(response => response.json())
+        .then(data => {
+            if (!data.success) {
+                let html = `<p class="lookup-error">${escapeHtml(data.details || data.error || 'Lookup failed')}</p>`;
+                if (data.suggestions && data.suggestions.length > 0) {
+                    html += `<p class="history-note">Did you mean: ${data.suggestions.map(escapeHtml).join(', ')}?</p>`;
+                }
+                lookupResult.innerHTML = html;
+                return;
+            }
+            renderLookupResult(data.result, data.docsearchMessage);
+        })
+        .catch(error => {
+            console.error('Error:', error);
+            lookupResult.innerHTML = `<p class="lookup-error">Network error: ${escapeHtml(error.message)}</p>`;
+        })
+        .finally(() => {
+            lookupBtn.disabled = false;
+            lookupBtn.textContent = 'Look Up';
+        });
+}
+
+function renderLookupResult(result, docsearchMessage) {
+    const lookupResult = document.getElementById('lookupResult');
+    const checkedAt = result.checkedAt ? new Date(result.checkedAt).toLocaleString() : '';
+    const source = result.fromCache ? `cached result from ${checkedAt}` : `checked ${checkedAt}`;
+
+    if (result.status === 'failed') {
+        lookupResult.innerHTML = `<p class="lookup-error">Ford lookup for ${escapeHtml(result.vin)} failed: ${escapeHtml(result.error || 'unknown error')}</p>`;
+        return;
+    }
+    if (result.status === 'unsupported') {
+        lookupResult.innerHTML = `<p class="lookup-error">${escapeHtml(result.vin)} was not looked up: ${escapeHtml(result.error || 'unsupported make')}</p>`;
+        return;
+    }
+
+    let html = `<p><strong>${escapeHtml(result.vin)}</strong> (${escapeHtml(source)})</p>`;
+    if (result.recalls.length === 0) {
+        html += '<p class="lookup-clean">No open recalls or satisfaction programs.</p>';
+    } else {
+        const rows = result.recalls.map(recall => `
+            <tr>
+                <td>${escapeHtml(recall.recallNumber)}</td>
+                <td>${escapeHtml(recall.type)}</td>
+                <td>${formatLookupEA(recall.ea)}</td>
+            </tr>
+        `).join('');
+        html += `
+            <table class="history-table">
+                <thead>
+                    <tr>
+                        <th>Recall Number</th>
+                        <th>Type</th>
+                        <th>EA Number</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    if (docsearchMessage) {
+        html += `<p class="history-note">${escapeHtml(docsearchMessage)}</p>`;
+    }
+
+    lookupResult.innerHTML = html;
+}
+
+function formatLookupEA(ea) {
+    if (ea.status === 'found') return escapeHtml(ea.number);
+    if (ea.status === 'none') return 'NONE';
+    if (ea.status === 'failed') return `Lookup failed (${escapeHtml(ea.error || 'unknown error')})`;
+    return 'Not looked up';
+}
+
+function escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value;
+    return div.innerHTML;
+}
+
 // Comparison file handling
 let comparisonFile = null;
 
@@ -463,8 +722,18 @@ function downloadComparisonResults() {
 
 // Drag and drop functionality for comparison file
 document.addEventListener('DOMContentLoaded', function() {
+    // Enter in the lookup box starts the lookup
+    document.getElementById('lookupVinInput').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            quickLookup();
+        }
+    });
+
     console.log('VIN Recall Scraper initialized');
     
+    document.getElementById('requestedByInput').value = localStorage.getItem('requestedBy') || '';
+    resumeActiveJob();
+    
     const comparisonUploadArea = document.getElementById('comparisonUploadArea');
     const comparisonFileInput = document.getElementById('comparisonFileInput');
     
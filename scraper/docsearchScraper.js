@@ -1,11 +1,13 @@
 const { chromium } = require('playwright');
 
 class DocSearchScraper {
-    constructor(username, password) {
+    constructor(username, password, options = {}) {
         this.username = username;
         this.password = password;
+        this.rateLimiter = options.rateLimiter || null; // Shared adaptive pacing (slows in-page waits when the site struggles)
         this.browser = null;
         this.page = null;
+        this.tracing = false; // Whether Playwright tracing was started in the current context
         this.isAuthenticated = false;
         this.baseUrl = 'https://techops.delta.com/docsearch/';
     }
@@ -24,6 +26,13 @@ class DocSearchScraper {
                 userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
             });
             
+            // Let the rate limiter know when the site answers with 429/5xx
+            this.page.on('response', response => {
+                if (this.rateLimiter && response.request().isNavigationRequest()) {
+                    this.rateLimiter.reportStatus(response.status());
+                }
+            });
+            
             // Set viewport
             await this.page.setViewportSize({ width: 1920, height: 1080 });
             
@@ -79,7 +88,7 @@ class DocSearchScraper {
             });
 
             // Wait a moment for any redirects or dynamic content
-            await this.page.waitForTimeout(3000);
+            await this.pause(3000);
             
             // Check for Access Denied
             const hasAccessDenied = await this.checkAccessDenied();
@@ -185,7 +194,7 @@ class DocSearchScraper {
             });
             
             // Wait a moment for page to load
-            await this.page.waitForTimeout(2000);
+            await this.pause(2000);
             
             // Check for Access Denied
             const hasAccessDenied = await this.checkAccessDenied();
@@ -205,7 +214,7 @@ class DocSearchScraper {
                 console.log('✅ Detected homepage loaded. Proceeding with DocSearch workflow...');
                 
                 // Wait a bit more to ensure user is ready
-                await this.page.waitForTimeout(2000);
+                await this.pause(2000);
                 
                 // Check again for Access Denied after sign-in
                 const hasAccessDenied = await this.checkAccessDenied();
@@ -256,7 +265,7 @@ class DocSearchScraper {
             });
             
             // Wait for page to fully load
-            await this.page.waitForTimeout(3000);
+            await this.pause(3000);
             
             // Check for Access Denied
             const hasAccessDenied = await this.checkAccessDenied();
@@ -293,7 +302,7 @@ class DocSearchScraper {
                         await checkbox.check();
                         console.log(`Successfully checked EA/ERA checkbox with selector: ${selector}`);
                         checkboxChecked = true;
-                        await this.page.waitForTimeout(2000);
+                        await this.pause(2000);
                         break;
                     }
                 } catch (e) {
@@ -318,7 +327,7 @@ class DocSearchScraper {
                             await checkbox.check();
                             console.log('Successfully checked EA/ERA checkbox found by text');
                             checkboxChecked = true;
-                            await this.page.waitForTimeout(2000);
+                            await this.pause(2000);
                         }
                     }
                 } catch (e) {
@@ -333,7 +342,7 @@ class DocSearchScraper {
                     await this.page.check('input[type="checkbox"]');
                     console.log('Successfully checked fallback checkbox');
                     checkboxChecked = true;
-                    await this.page.waitForTimeout(2000);
+                    await this.pause(2000);
                 } catch (e) {
                     console.log('Warning: Could not find or check any checkbox');
                 }
@@ -344,7 +353,7 @@ class DocSearchScraper {
             
             // Wait for the page to be fully loaded and elements to be available
             console.log('Waiting for input fields to be available...');
-            await this.page.waitForTimeout(3000);
+            await this.pause(3000);
             
             // Try to wait for the specific input field to be visible
             try {
@@ -528,7 +537,7 @@ class DocSearchScraper {
 
             // Wait for search results to load
             console.log('Waiting for search results...');
-            await this.page.waitForTimeout(5000);
+            await this.pause(5000);
 
             // Extract search results and check if EA exists
             const eaExists = await this.checkEAExists();
@@ -768,7 +777,7 @@ class DocSearchScraper {
                 results.push(result);
                 
                 // Add delay between requests to be respectful
-                await this.page.waitForTimeout(2000);
+                await this.pause(2000);
                 
             } catch (error) {
                 results.push({
@@ -814,6 +823,29 @@ class DocSearchScraper {
         }
     }
 
+    // Start recording a Playwright trace for the next lookup (tracing is per browser context)
+    async beginTrace() {
+        const context = this.page.context();
+        if (!this.tracing) {
+            await context.tracing.start({ screenshots: true, snapshots: true });
+            this.tracing = true;
+        }
+        await context.tracing.startChunk();
+    }
+
+    // Stop the current trace chunk; it is saved to tracePath, or discarded when no path is given
+    async endTrace(tracePath = null) {
+        if (!this.tracing || !this.page) {
+            return;
+        }
+        await this.page.context().tracing.stopChunk(tracePath ? { path: tracePath } : undefined);
+    }
+
+    // Fixed in-page wait, stretched while the rate limiter is backing off
+    async pause(ms) {
+        await this.page.waitForTimeout(this.rateLimiter ? this.rateLimiter.scaleDelay(ms) : ms);
+    }
+
     async close() {
         try {
             if (this.isAuthenticated) {
@@ -827,6 +859,7 @@ class DocSearchScraper {
         } catch (error) {
             console.error('Error closing DocSearch scraper:', error);
         }
+        this.tracing = false;
     }
 }
 
@@ -0,0 +1,228 @@
+const DocSearchScraper = require('./docsearchScraper');
+const { JobCancelledError } = require('../lib/jobControl');
+const { RecallSource, SourceUnavailableError } = require('../lib/sourceRegistry');
+
+const REQUEST_TIMEOUT = 60000; // 60 second timeout per request
+const BATCH_SIZE = 100; // Restart the browser every 100 requests
+
+// DocSearch EA lookups, one per unique recall number. DocSearch relies on one manual sign-in, so only one
+// run at a time may drive it (the lock is shared with quick lookups).
+class DocSearchSource extends RecallSource {
+    constructor(options = {}) {
+        super({ name: 'docsearch', label: 'DocSearch', keyedBy: 'recall' });
+        this.username = options.username || ''; // Credentials are not required for manual sign-in
+        this.password = options.password || '';
+        this.rateLimiter = options.rateLimiter;
+        this.cache = options.cache || null;
+        this.eaTtlHours = options.eaTtlHours;
+        this.noneTtlHours = options.noneTtlHours; // Results without an EA go stale sooner (an EA may be added)
+        this.lock = options.lock;
+    }
+
+    // run.lockWaitMs: give up if another run holds DocSearch that long (default: wait for it)
+    // run.interactive === false: don't wait for a manual sign-in when nobody is signed in
+    async initialize(run, recallNumbers) {
+        const turn = this.lock.acquire();
+        let release;
+        let waitTimeoutId = null;
+        try {
+            release = run.lockWaitMs
+                ? await Promise.race([turn, new Promise(resolve => {
+                    waitTimeoutId = setTimeout(() => resolve(null), run.lockWaitMs);
+                })])
+                : await run.control.race(turn);
+        } catch (error) {
+            // Cancelled while waiting: hand DocSearch on as soon as it would have been ours
+            turn.then(lateRelease => lateRelease());
+            throw error;
+        } finally {
+            clearTimeout(waitTimeoutId);
+        }
+        if (!release) {
+            turn.then(lateRelease => lateRelease());
+            throw new SourceUnavailableError('DocSearch is busy with another run');
+        }
+
+        const session = {
+            run,
+            release,
+            scraper: new DocSearchScraper(this.username, this.password, { rateLimiter: this.rateLimiter }),
+            searched: 0
+        };
+
+        try {
+            if (!await session.scraper.initialize()) {
+                throw new SourceUnavailableError('DocSearch could not be started');
+            }
+            await this.signIn(session);
+            return session;
+        } catch (error) {
+            await this.close(session);
+            throw error;
+        }
+    }
+
+    async signIn(session) {
+        if (await session.scraper.checkIfAlreadySignedIn()) {
+            console.log('✅ User is already signed into DocSearch');
+            return;
+        }
+        if (session.run.interactive === false) {
+            throw new SourceUnavailableError('Not signed in to DocSearch');
+        }
+
+        console.log('⚠️ User is not signed into DocSearch');
+        console.log('📝 ACTION REQUIRED: Please sign in to DocSearch manually in the browser window that opened');
+        session.run.progress({ type: 'progress', message: 'Waiting for manual DocSearch sign-in...' });
+
+        // Wait for manual sign-in
+        if (!await session.run.control.race(session.scraper.authenticate())) {
+            console.warn('❌ DocSearch authentication failed');
+            throw new SourceUnavailableError('DocSearch sign-in required. Please sign in and try again.');
+        }
+        console.log('✅ DocSearch authentication successful');
+    }
+
+    async lookup(session, recallNumber) {
+        const { control, evidence } = session.run;
+
+        // Restart the browser every BATCH_SIZE requests to prevent memory issues
+        if (session.searched > 0 && session.searched % BATCH_SIZE === 0) {
+            await this.restart(session, `after ${session.searched} requests to maintain stability`);
+        }
+        session.searched++;
+
+        let timeoutId = null;
+        let timedOut = false;
+        try {
+            // Wait for this request's turn (paced by the DocSearch rate limiter)
+            await this.waitForRateLimit(this.rateLimiter, session.run);
+            if (evidence) await evidence.startItem(session.scraper);
+
+            // Pass the recall number to DocSearch with timeout
+            const scrapingPromise = session.scraper.searchVinData(recallNumber);
+            const timeoutPromise = new Promise((_, reject) => {
+                timeoutId = setTimeout(() => {
+                    timedOut = true;
+                    reject(new Error('Request timeout after 60 seconds'));
+                }, REQUEST_TIMEOUT);
+            });
+
+            const docsearchData = await control.race(Promise.race([scrapingPromise, timeoutPromise]));
+            if (docsearchData && docsearchData.success === false) {
+                // Stamp the failure for the "Scrape Errors" sheet
+                docsearchData.attempts = 1;
+                docsearchData.scrapedAt = docsearchData.scrapedAt || new Date().toISOString();
+                this.rateLimiter.reportFailure(docsearchData.error);
+            } else {
+                this.rateLimiter.reportSuccess();
+            }
+            if (evidence) {
+                await evidence.finishItem(session.scraper, 'docsearch', recallNumber, {
+                    failed: Boolean(docsearchData && docsearchData.success === false),
+                    error: docsearchData && docsearchData.error
+                });
+            }
+
+            console.log(`✅ DocSearch data scraped for Recall ${recallNumber} (EA Exists: ${docsearchData.eaExists}, EA Number: ${docsearchData.eaNumber || 'NONE'})`);
+            return docsearchData;
+        } catch (error) {
+            if (error instanceof JobCancelledError) {
+                throw error;
+            }
+            this.rateLimiter.reportFailure(error);
+            console.error(`❌ Error scraping DocSearch data for Recall ${recallNumber}:`, error.message);
+            if (evidence) await evidence.finishItem(session.scraper, 'docsearch', recallNumber, { failed: true, error: error.message });
+
+            // The timed-out search is still driving the page - restart the browser so it can't run into the next one
+            if (timedOut) {
+                await this.restart(session, `after the timeout for Recall ${recallNumber}`);
+            }
+            return {
+                recallNumber: recallNumber,
+                success: false,
+                error: error.message,
+                eaExists: false,
+                eaNumber: null,
+                attempts: 1,
+                scrapedAt: new Date().toISOString()
+            };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // Throws SourceUnavailableError if the browser won't start again or the sign-in was lost
+    async restart(session, reason) {
+        console.log(`\n⚠️ Restarting DocSearch browser ${reason}...`);
+        await session.scraper.close();
+        if (!await session.scraper.initialize()) {
+            throw new SourceUnavailableError('Failed to restart the DocSearch browser');
+        }
+        console.log('✅ DocSearch browser restarted successfully');
+
+        // Stop if authentication is lost
+        if (!await session.scraper.checkIfAlreadySignedIn()) {
+            console.log('⚠️ DocSearch session expired. Please sign in again.');
+            throw new SourceUnavailableError('DocSearch session expired. Please sign in and try again.');
+        }
+    }
+
+    async close(session) {
+        try {
+            await session.scraper.close();
+        } finally {
+            // Hand DocSearch to the next run
+            if (session.release) {
+                session.release();
+                session.release = null;
+            }
+        }
+    }
+
+    async health() {
+        const blockedReason = this.rateLimiter.getBlockedReason();
+        return blockedReason ? { ok: false, message: blockedReason } : { ok: true, message: 'Ready' };
+    }
+
+    getCached(recallNumber) {
+        return this.cache ? this.cache.get(recallNumber) : null;
+    }
+
+    // Failed searches are never cached
+    cacheResult(recallNumber, docsearchData) {
+        if (!this.cache || !docsearchData || docsearchData.success === false) {
+            return;
+        }
+
+        const hasEA = docsearchData.eaExists && docsearchData.eaNumber && docsearchData.eaNumber !== 'NONE';
+        const ttlHours = hasEA ? this.eaTtlHours : this.noneTtlHours;
+
+        try {
+            this.cache.set(recallNumber, docsearchData, ttlHours * 60 * 60 * 1000);
+        } catch (error) {
+            console.error(`Error caching DocSearch data for Recall ${recallNumber}:`, error);
+        }
+    }
+
+    failure(recallNumber, message) {
+        return {
+            recallNumber,
+            success: false,
+            error: message,
+            eaExists: false,
+            eaNumber: null,
+            attempts: 0,
+            scrapedAt: new Date().toISOString()
+        };
+    }
+
+    merge(vinRecord, recallNumber, docsearchData) {
+        if (!(vinRecord.docsearchDataByRecall instanceof Map)) {
+            vinRecord.docsearchDataByRecall = new Map();
+        }
+        vinRecord.docsearchDataByRecall.set(recallNumber, docsearchData);
+    }
+}
+
+module.exports = DocSearchSource;
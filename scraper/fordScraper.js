@@ -1,27 +1,50 @@
 const { firefox } = require('playwright');
 
 class FordScraper {
-  constructor() {
+  // Pass options.browser to share one Firefox instance between several scrapers (each gets its own context)
+  constructor(options = {}) {
+    this.sharedBrowser = options.browser || null;
+    this.rateLimiter = options.rateLimiter || null; // Shared adaptive pacing (slows in-page waits when the site struggles)
     this.browser = null;
+    this.context = null;
     this.page = null;
+    this.tracing = false; // Whether Playwright tracing was started in the current context
     this.baseUrl = 'https://www.ford.com/support/recalls-details/';
   }
 
+    static async launchBrowser() {
+        return firefox.launch({
+            headless: true, // Browser runs in background
+            args: [
+                '--no-sandbox', 
+                '--disable-setuid-sandbox'
+            ]
+        });
+    }
+
     async initialize() {
         try {
-            console.log('Launching Ford scraper with Firefox...');
-            this.browser = await firefox.launch({
-                headless: true, // Browser runs in background
-                args: [
-                    '--no-sandbox', 
-                    '--disable-setuid-sandbox'
-                ]
-            });
+            if (this.sharedBrowser) {
+                console.log('Creating Ford scraper context in shared Firefox browser...');
+                this.browser = this.sharedBrowser;
+            } else {
+                console.log('Launching Ford scraper with Firefox...');
+                this.browser = await FordScraper.launchBrowser();
+            }
             
+            // Isolated context so parallel scrapers don't share cookies or session state
             console.log('Creating new page...');
-            this.page = await this.browser.newPage({
+            this.context = await this.browser.newContext({
                 userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:109.0) Gecko/20100101 Firefox/115.0'
             });
+            this.page = await this.context.newPage();
+            
+            // Let the rate limiter know when the site answers with 429/5xx
+            this.page.on('response', response => {
+                if (this.rateLimiter && response.request().isNavigationRequest()) {
+                    this.rateLimiter.reportStatus(response.status());
+                }
+            });
             
             // Set viewport
             await this.page.setViewportSize({ width: 1920, height: 1080 });
@@ -39,7 +62,7 @@ class FordScraper {
     async extractRecallNumberFromPanel() {
         try {
             // Wait a bit for panel to fully load
-            await this.page.waitForTimeout(1500);
+            await this.pause(1500);
             
             // Method 1: Look for recall number in the opened panel using the recall-info-piece-data class
             // This is the most reliable method - the recall number appears in this element when panel is open
@@ -136,7 +159,7 @@ class FordScraper {
             });
 
             console.log('Page loaded, waiting for elements...');
-            await this.page.waitForTimeout(2000);
+            await this.pause(2000);
 
             // Find VIN input field using data-testid (most reliable selector)
             console.log('Waiting for VIN input field...');
@@ -178,7 +201,7 @@ class FordScraper {
             // Clear the field first by selecting all and deleting
             await vinInputLocator.click({ clickCount: 3 });
             await this.page.keyboard.press('Backspace');
-            await this.page.waitForTimeout(200);
+            await this.pause(200);
 
             // Type VIN character by character (instead of fill/copy-paste)
             console.log(`Typing VIN: ${vinNumber}`);
@@ -186,7 +209,7 @@ class FordScraper {
             console.log(`VIN entered: ${vinNumber}`);
 
             // Wait a moment for validation and button to become enabled
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
 
             // Check for VIN validation error
             const errorElement = await this.page.$('[data-testid="vin-search-text-field-error"]');
@@ -244,7 +267,7 @@ class FordScraper {
             console.log('Search button clicked');
 
             // Wait a moment and check for any validation errors that might appear after submission
-            await this.page.waitForTimeout(1000);
+            await this.pause(1000);
             const errorAfterSubmit = await this.page.$('[data-testid="vin-search-text-field-error"]');
             if (errorAfterSubmit && await errorAfterSubmit.isVisible()) {
                 const errorText = await errorAfterSubmit.textContent();
@@ -258,7 +281,7 @@ class FordScraper {
             }
 
             // Wait for results to load
-            await this.page.waitForTimeout(4000);
+            await this.pause(4000);
 
             // Extract recall information
             const recallData = await this.extractRecallData();
@@ -289,6 +312,7 @@ class FordScraper {
             
             if (isTimeoutError && retryCount < MAX_RETRIES) {
                 console.log(`\n⏱️  Timeout error detected for VIN ${vinNumber}. Restarting browser and retrying...`);
+                if (this.rateLimiter) this.rateLimiter.reportFailure(error);
                 console.log(`   Retry attempt: ${retryCount + 1} of ${MAX_RETRIES}`);
                 
                 try {
@@ -438,7 +462,7 @@ class FordScraper {
     async extractCampaignNumberFromPanel() {
         try {
             // Wait a bit for panel to fully load
-            await this.page.waitForTimeout(1500);
+            await this.pause(1500);
             
             // Look for campaign number in the opened panel using the recall-info-piece-data class
             // Campaign numbers are like "22L05" (2 digits, letter, 2 digits)
@@ -472,7 +496,7 @@ class FordScraper {
     async extractRecallData() {
         try {
             // Wait a bit for the page to fully load after search
-            await this.page.waitForTimeout(3000);
+            await this.pause(3000);
             
             // Check for the "no recall information" message
             const noRecallMessage = await this.page.$('text="We are not able to retrieve recall information for the VIN you have entered"');
@@ -499,7 +523,7 @@ class FordScraper {
                 console.log('Looking for Campaign sections...');
                 
                 // Wait for page to be fully loaded
-                await this.page.waitForTimeout(2000);
+                await this.pause(2000);
                 
                 // Find all sections
                 const allSections = await this.page.$$('section');
@@ -670,7 +694,7 @@ class FordScraper {
                 results.push(result);
                 
                 // Add delay between requests to be respectful
-                await this.page.waitForTimeout(2000);
+                await this.pause(2000);
                 
             } catch (error) {
                 results.push({
@@ -685,19 +709,49 @@ class FordScraper {
         return results;
     }
 
+    // Start recording a Playwright trace for the next lookup (tracing is per browser context)
+    async beginTrace() {
+        const context = this.page.context();
+        if (!this.tracing) {
+            await context.tracing.start({ screenshots: true, snapshots: true });
+            this.tracing = true;
+        }
+        await context.tracing.startChunk();
+    }
+
+    // Stop the current trace chunk; it is saved to tracePath, or discarded when no path is given
+    async endTrace(tracePath = null) {
+        if (!this.tracing || !this.page) {
+            return;
+        }
+        await this.page.context().tracing.stopChunk(tracePath ? { path: tracePath } : undefined);
+    }
+
+    // Fixed in-page wait, stretched while the rate limiter is backing off
+    async pause(ms) {
+        await this.page.waitForTimeout(this.rateLimiter ? this.rateLimiter.scaleDelay(ms) : ms);
+    }
+
     async close() {
         try {
-            if (this.browser) {
+            if (this.sharedBrowser) {
+                // The pool owns the shared browser - only close this scraper's context
+                if (this.context) {
+                    await this.context.close();
+                    console.log('Ford scraper context closed successfully');
+                }
+            } else if (this.browser) {
                 await this.browser.close();
-                this.browser = null;
-                this.page = null;
                 console.log('Ford scraper closed successfully');
             }
         } catch (error) {
             console.error('Error closing Ford scraper:', error);
+        } finally {
             // Reset references even if close fails
             this.browser = null;
+            this.context = null;
             this.page = null;
+            this.tracing = false;
         }
     }
 }
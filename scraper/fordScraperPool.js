@@ -0,0 +1,83 @@
+const FordScraper = require('./fordScraper');
+
+// One Firefox browser shared by several FordScrapers, each working in its own isolated context
+class FordScraperPool {
+    constructor(options = {}) {
+        this.size = Math.max(1, parseInt(options.size, 10) || 1);
+        this.rateLimiter = options.rateLimiter || null; // Passed on to every scraper in the pool
+        this.browser = null;
+        this.scrapers = [];
+        this.relaunching = null; // Pending browser relaunch, shared by workers that notice a crash at the same time
+    }
+
+    async initialize() {
+        try {
+            console.log(`Launching Ford scraper pool with ${this.size} context(s)...`);
+            this.browser = await FordScraper.launchBrowser();
+        } catch (error) {
+            console.error('Error launching Ford browser:', error);
+            return false;
+        }
+
+        for (let i = 0; i < this.size; i++) {
+            const scraper = new FordScraper({ browser: this.browser, rateLimiter: this.rateLimiter });
+            if (await scraper.initialize()) {
+                this.scrapers.push(scraper);
+            } else {
+                console.warn(`Ford scraper context ${i + 1}/${this.size} failed to initialize`);
+            }
+        }
+
+        console.log(`Ford scraper pool ready: ${this.scrapers.length}/${this.size} context(s)`);
+        return this.scrapers.length > 0;
+    }
+
+    // Replace a worker's context; relaunches the shared browser first if it has died
+    async restart(scraper) {
+        await scraper.close();
+
+        if (!this.browser || !this.browser.isConnected()) {
+            if (!this.relaunching) {
+                console.log('🔄 Ford browser is gone - relaunching it for the pool...');
+                this.relaunching = FordScraper.launchBrowser()
+                    .then(browser => {
+                        this.browser = browser;
+                        return browser;
+                    })
+                    .finally(() => {
+                        this.relaunching = null;
+                    });
+            }
+
+            try {
+                await this.relaunching;
+            } catch (error) {
+                console.error('Error relaunching Ford browser:', error);
+                return false;
+            }
+        }
+
+        scraper.sharedBrowser = this.browser;
+        return scraper.initialize();
+    }
+
+    async close() {
+        for (const scraper of this.scrapers) {
+            await scraper.close();
+        }
+        this.scrapers = [];
+
+        try {
+            if (this.browser) {
+                await this.browser.close();
+                console.log('Ford scraper pool closed successfully');
+            }
+        } catch (error) {
+            console.error('Error closing Ford scraper pool:', error);
+        } finally {
+            this.browser = null;
+        }
+    }
+}
+
+module.exports = FordScraperPool;
@@ -0,0 +1,219 @@
+const FordScraperPool = require('./fordScraperPool');
+const CircuitBreaker = require('../lib/circuitBreaker');
+const { JobCancelledError } = require('../lib/jobControl');
+const { RecallSource, SourceUnavailableError } = require('../lib/sourceRegistry');
+
+const REQUEST_TIMEOUT = 60000; // 60 second timeout per VIN
+const MAX_RETRIES = 1; // One retry with browser restart
+const BATCH_SIZE = 50; // Restart a worker's browser context every 50 VINs to prevent memory issues
+const FORD_MAKES = ['Ford', 'Lincoln', 'Mercury']; // ford.com only knows Ford Motor Company VINs
+
+// ford.com recall lookups, one per VIN, spread over a pool of browser contexts (one per worker)
+class FordSource extends RecallSource {
+    constructor(options = {}) {
+        super({ name: 'ford', label: 'Ford', keyedBy: 'vin', makes: FORD_MAKES });
+        this.rateLimiter = options.rateLimiter; // Shared by every worker of every run
+        this.cache = options.cache || null;
+        this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+        this.breakerThreshold = options.breakerThreshold;
+    }
+
+    async initialize(run, vins) {
+        // Never open more contexts than there are VINs to scrape
+        const pool = new FordScraperPool({ size: Math.min(this.concurrency, vins.length), rateLimiter: this.rateLimiter });
+        if (!await pool.initialize()) {
+            await pool.close();
+            throw new SourceUnavailableError('Could not start the Ford browser');
+        }
+
+        // Estimate time: ~5-10 seconds per VIN + 3 second delay = ~8-13 seconds per VIN, split across the workers
+        if (vins.length > 50) {
+            console.log(`⏱️  Estimated time: ~${Math.ceil((vins.length * 10) / 60 / pool.scrapers.length)} minutes for ${vins.length} VINs`);
+        }
+
+        return {
+            run,
+            pool,
+            workers: pool.scrapers.length,
+            scrapedByWorker: pool.scrapers.map(() => 0),
+            // Stops every worker once ford.com looks structurally broken
+            breaker: new CircuitBreaker({ site: 'ford.com', threshold: this.breakerThreshold })
+        };
+    }
+
+    async lookup(session, vin, worker) {
+        const fordScraper = session.pool.scrapers[worker];
+        const fordData = await this.scrapeVin(session, fordScraper, vin);
+        session.scrapedByWorker[worker]++;
+
+        if (fordData.success === false) {
+            if (session.breaker.recordFailure(vin, fordData.error)) {
+                console.error(`\n🚨 Circuit breaker tripped: ${session.breaker.diagnosis.message}`);
+                session.run.progress({ type: 'site-changed', message: session.breaker.diagnosis.message, diagnosis: session.breaker.diagnosis });
+            }
+        } else {
+            session.breaker.recordSuccess();
+        }
+
+        // Restart this worker's context every BATCH_SIZE VINs to prevent memory issues and crashes
+        if (fordScraper.page && session.scrapedByWorker[worker] % BATCH_SIZE === 0) {
+            console.log(`\n⚠️ Restarting browser context of worker ${worker + 1} after ${session.scrapedByWorker[worker]} VINs to maintain stability...`);
+            if (await session.pool.restart(fordScraper)) {
+                console.log('✅ Browser context restarted successfully');
+            } else {
+                console.error(`❌ Failed to restart worker ${worker + 1}`);
+            }
+        }
+
+        return fordData;
+    }
+
+    // Scrape one VIN with timeout and retry logic; returns the Ford data (success: false on failure)
+    // NS_ERROR_ABORT and missing-input errors get one retry after the worker's browser context is restarted
+    async scrapeVin(session, fordScraper, vin) {
+        const { control, evidence } = session.run;
+        let retryCount = 0;
+
+        while (retryCount <= MAX_RETRIES) {
+            let timeoutId = null;
+            let timedOut = false;
+            try {
+                // Wait for this request's turn (shared by all workers and jobs)
+                await this.waitForRateLimit(this.rateLimiter, session.run);
+                if (evidence) await evidence.startItem(fordScraper);
+
+                // Add timeout wrapper for individual VIN scraping
+                const scrapingPromise = fordScraper.scrapeVinRecallData(vin);
+                const timeoutPromise = new Promise((_, reject) => {
+                    timeoutId = setTimeout(() => {
+                        timedOut = true;
+                        reject(new Error('Request timeout after 60 seconds'));
+                    }, REQUEST_TIMEOUT);
+                });
+
+                const fordData = await control.race(Promise.race([scrapingPromise, timeoutPromise]));
+
+                // Check if scraping was successful
+                if (fordData && fordData.success !== false) {
+                    console.log(`✅ Ford data scraped for VIN: ${vin}`);
+                    this.rateLimiter.reportSuccess();
+                    if (evidence) await evidence.finishItem(fordScraper, 'ford', vin, { failed: false });
+                    return fordData;
+                }
+                throw new Error(fordData?.error || 'Scraping failed');
+            } catch (error) {
+                if (error instanceof JobCancelledError) {
+                    throw error;
+                }
+
+                const errorMessage = error.message || '';
+                this.rateLimiter.reportFailure(error); // Slows every worker down if this looks like throttling
+
+                // Capture the page as it is now, before any browser restart wipes it
+                if (evidence) await evidence.finishItem(fordScraper, 'ford', vin, { failed: true, error: errorMessage, attempt: retryCount + 1 });
+                const isVinInputError = errorMessage.includes('Could not find VIN input field');
+                const isNsErrorAbort = errorMessage.includes('NS_ERROR_ABORT');
+                const needsBrowserRestart = isVinInputError || isNsErrorAbort;
+
+                // The timed-out scrape is still driving the page - close the context so it can't run into the next VIN
+                if (timedOut) {
+                    console.log(`🔄 Restarting browser context of the worker after the timeout for VIN ${vin}...`);
+                    if (!await session.pool.restart(fordScraper)) {
+                        console.error('❌ Failed to restart browser after the timeout');
+                    }
+                }
+
+                if (!needsBrowserRestart || retryCount >= MAX_RETRIES) {
+                    // No retry needed or max retries reached
+                    console.error(`❌ Error scraping Ford data for VIN ${vin}:`, errorMessage);
+                    return { vin: vin, success: false, error: errorMessage, attempts: retryCount + 1, scrapedAt: new Date().toISOString() };
+                }
+
+                console.error(`❌ Error scraping Ford data for VIN ${vin}: ${errorMessage}`);
+                console.log(`🔄 Restarting browser and retrying (attempt ${retryCount + 1}/${MAX_RETRIES + 1})...`);
+
+                try {
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                    const reinitialized = await session.pool.restart(fordScraper);
+
+                    if (!reinitialized) {
+                        console.error('❌ Failed to restart browser. Marking as failed...');
+                        return { vin: vin, success: false, error: `Failed to restart browser after error: ${errorMessage}`, attempts: retryCount + 1, scrapedAt: new Date().toISOString() };
+                    }
+                    console.log('✅ Browser restarted successfully. Retrying...');
+                    retryCount++;
+                } catch (restartError) {
+                    console.error('❌ Error during browser restart:', restartError);
+                    return { vin: vin, success: false, error: `Browser restart failed: ${restartError.message}`, attempts: retryCount + 1, scrapedAt: new Date().toISOString() };
+                }
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+    }
+
+    async close(session) {
+        await session.pool.close();
+    }
+
+    async health() {
+        const blockedReason = this.rateLimiter.getBlockedReason();
+        return blockedReason ? { ok: false, message: blockedReason } : { ok: true, message: 'Ready' };
+    }
+
+    check(session) {
+        session.breaker.check();
+    }
+
+    // A worker whose context could not be restarted leaves the remaining VINs to the other workers
+    isWorkerAvailable(session, worker) {
+        return Boolean(session.pool.scrapers[worker].page);
+    }
+
+    getCached(vin) {
+        return this.cache ? this.cache.get(vin) : null;
+    }
+
+    // Only successful lookups are cached so failed VINs are retried on the next run
+    cacheResult(vin, fordData) {
+        if (!this.cache || !fordData || fordData.success === false) {
+            return;
+        }
+
+        try {
+            this.cache.set(vin, fordData);
+        } catch (error) {
+            console.error(`Error caching Ford data for VIN ${vin}:`, error);
+        }
+    }
+
+    failure(vin, message) {
+        return { vin, success: false, error: message, attempts: 0, scrapedAt: new Date().toISOString() };
+    }
+
+    merge(vinRecord, vin, fordData, cachedAt = null) {
+        vinRecord.fordData = fordData;
+        if (cachedAt) {
+            vinRecord.fordCachedAt = cachedAt;
+        }
+    }
+
+    hasResult(vinRecord) {
+        return Boolean(vinRecord.fordData);
+    }
+
+    getRecallNumbers(vinRecord) {
+        const fordData = vinRecord.fordData;
+        if (!fordData || fordData.success === false || !fordData.recallData || !fordData.recallData.recalls) {
+            return [];
+        }
+
+        return fordData.recallData.recalls
+            .map(recall => recall.recallNumber)
+            .filter(recallNumber => recallNumber &&
+                recallNumber !== 'No recall information' &&
+                recallNumber !== 'No recall information available');
+    }
+}
+
+module.exports = FordSource;
@@ -1,15 +1,208 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
 const cors = require('cors');
 const fs = require('fs');
 const XLSX = require('xlsx');
-const FordScraper = require('./scraper/fordScraper');
-const DocSearchScraper = require('./scraper/docsearchScraper');
+const archiver = require('archiver');
+const FordSource = require('./scraper/fordSource');
+const DocSearchSource = require('./scraper/docsearchSource');
+const JobStore = require('./lib/jobStore');
+const JobControl = require('./lib/jobControl');
+const JobQueue = require('./lib/jobQueue');
+const { Lock } = JobQueue;
+const RunHistory = require('./lib/runHistory');
+const ProgressHub = require('./lib/progressHub');
+const TtlCache = require('./lib/ttlCache');
+const RateLimiter = require('./lib/rateLimiter');
+const { SiteChangedError } = require('./lib/circuitBreaker');
+const SourceRegistry = require('./lib/sourceRegistry');
+const { SourceUnavailableError } = SourceRegistry;
+const WmiTable = require('./lib/wmi');
+const VinDecoder = require('./lib/vinDecoder');
+const VinValidator = require('./lib/vinValidator');
+const { REASON_CODES, normalizeVin } = VinValidator;
+const EvidenceRecorder = require('./lib/evidenceRecorder');
+const Scheduler = require('./lib/scheduler');
+const { resolveScheduleFile } = Scheduler;
+const InboxWatcher = require('./lib/inboxWatcher');
+const WebhookNotifier = require('./lib/webhookNotifier');
+const EmailDigest = require('./lib/emailDigest');
+const { NO_STATION } = EmailDigest;
+const { JobExistsError, restoreVinResult, summarizeJob, isValidJobId, createJobId } = JobStore;
+const { JobCancelledError } = JobControl;
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Persistent store for scrape jobs so a restarted server can resume them
+const jobStore = new JobStore(path.join(DATA_DIR, 'jobs'));
+
+// History of finished runs; outputs are kept until the retention policy expires them
+const runHistory = new RunHistory(path.join(DATA_DIR, 'history.json'), path.join(__dirname, 'downloads'));
+const HISTORY_RETENTION = {
+  maxRuns: parseInt(process.env.HISTORY_MAX_RUNS || '50', 10),
+  maxAgeDays: parseInt(process.env.HISTORY_MAX_AGE_DAYS || '90', 10)
+};
+
+// Recurring fleet scans run by the server itself (cron expression + stored fleet file or watched path).
+// Watched paths must be inside SCHEDULE_WATCH_DIR (empty = only uploaded fleet files).
+const SCHEDULES_DIR = path.join(DATA_DIR, 'schedules');
+const scheduler = new Scheduler(path.join(DATA_DIR, 'schedules.json'), {
+  onRun: runScheduledScan,
+  watchRoot: process.env.SCHEDULE_WATCH_DIR || null
+});
+
+// Watched inbox: spreadsheets dropped into INBOX_DIR are processed automatically (empty = off). Inputs are
+// moved to the archive folder, results copied to the outbox and unusable files moved to the failed folder.
+const INBOX_DIR = process.env.INBOX_DIR || '';
+const inboxWatcher = INBOX_DIR ? new InboxWatcher(path.resolve(INBOX_DIR), {
+  archiveDir: process.env.INBOX_ARCHIVE_DIR,
+  outboxDir: process.env.INBOX_OUTBOX_DIR,
+  failedDir: process.env.INBOX_FAILED_DIR,
+  pollIntervalMs: parseFloat(process.env.INBOX_POLL_SECONDS || '30') * 1000,
+  onFile: processInboxFile
+}) : null;
+
+// Address other systems use to reach this server (links in webhook payloads)
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Signed webhooks on job started/completed/failed (WEBHOOK_URLS empty = off)
+const webhookNotifier = new WebhookNotifier({
+  targets: process.env.WEBHOOK_URLS,
+  secret: process.env.WEBHOOK_SECRET,
+  maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS || 5,
+  retryDelayMs: process.env.WEBHOOK_RETRY_DELAY_MS || 5000
+});
+
+// Run digest emails over SMTP (SMTP_HOST empty = off); EMAIL_TO gets every station, EMAIL_STATION_RECIPIENTS one station each
+const emailDigest = new EmailDigest({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  secure: process.env.SMTP_SECURE,
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS,
+  from: process.env.EMAIL_FROM,
+  to: process.env.EMAIL_TO,
+  stationRecipients: process.env.EMAIL_STATION_RECIPIENTS
+});
+
+// Webhook deliveries and emails still in flight (the CLI waits for them before exiting)
+const pendingNotifications = new Set();
+
+// Ford results reused across runs while fresh (FORD_CACHE_TTL_HOURS=0 turns the cache off)
+const FORD_CACHE_TTL_HOURS = parseFloat(process.env.FORD_CACHE_TTL_HOURS || '168');
+const fordCache = new TtlCache(path.join(DATA_DIR, 'cache', 'ford'), {
+  ttlMs: FORD_CACHE_TTL_HOURS * 60 * 60 * 1000
+});
+
+// DocSearch results per recall number reused across runs; recalls without an EA ("NONE") expire sooner
+// because an EA may still be published for them (DOCSEARCH_CACHE_TTL_HOURS=0 turns the cache off)
+const DOCSEARCH_CACHE_TTL_HOURS = parseFloat(process.env.DOCSEARCH_CACHE_TTL_HOURS || '720');
+const DOCSEARCH_NONE_CACHE_TTL_HOURS = parseFloat(process.env.DOCSEARCH_NONE_CACHE_TTL_HOURS || '24');
+const docsearchCache = new TtlCache(path.join(DATA_DIR, 'cache', 'docsearch'), {
+  ttlMs: DOCSEARCH_CACHE_TTL_HOURS * 60 * 60 * 1000
+});
+
+// Ford scraping runs FORD_CONCURRENCY browser contexts per job
+const FORD_CONCURRENCY = Math.max(1, parseInt(process.env.FORD_CONCURRENCY || '1', 10) || 1);
+
+// One adaptive rate limiter per site, shared by every worker of every job. The gap between requests
+// starts at *_DELAY_MS, grows on timeouts/NS_ERROR_ABORT/429/5xx and shrinks while the site is healthy.
+const fordRateLimiter = new RateLimiter({
+  name: 'Ford',
+  baseDelayMs: process.env.FORD_DELAY_MS || 3000,
+  requestsPerMinute: process.env.FORD_MAX_REQUESTS_PER_MINUTE || 20,
+  maxPerHour: process.env.FORD_MAX_REQUESTS_PER_HOUR || 0,
+  quietHours: process.env.SCRAPE_QUIET_HOURS
+});
+const docsearchRateLimiter = new RateLimiter({
+  name: 'DocSearch',
+  baseDelayMs: process.env.DOCSEARCH_DELAY_MS || 3000,
+  maxPerHour: process.env.DOCSEARCH_MAX_REQUESTS_PER_HOUR || 0,
+  quietHours: process.env.SCRAPE_QUIET_HOURS
+});
+
+// Stop a run after this many VINs in a row fail because ford.com's markup changed (0 = never stop early)
+const FORD_CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.FORD_CIRCUIT_BREAKER_THRESHOLD || '5', 10);
+
+// Which sites a run looks things up on: everything, Ford only (no DocSearch), or DocSearch only
+// (Ford results come from earlier runs' stored/cached data, ford.com is never opened)
+const RUN_SOURCES = {
+  all: 'Ford and DocSearch',
+  ford: 'Ford only',
+  docsearch: 'DocSearch only (cached Ford results)'
+};
+
+// Keep a Playwright trace (besides the screenshot and HTML) for every failed lookup
+const DIAGNOSTICS_TRACE_FAILURES = process.env.DIAGNOSTICS_TRACE_FAILURES === 'true';
+
+// Jobs currently running in this process: jobId -> { job, control } (control handles pause/resume/cancel)
+const runningJobs = new Map();
+
+// Single FIFO queue in front of the scrapers so concurrent uploads don't hammer ford.com in parallel
+const jobQueue = new JobQueue({
+  concurrency: process.env.JOB_CONCURRENCY || 1,
+  onChange: (queue) => {
+    // Tell every waiting job where it stands in line
+    queue.getWaitingIds().forEach((jobId, index) => {
+      emitProgress(jobId, {
+        type: 'queued',
+        position: index + 1,
+        message: `Waiting in queue (position ${index + 1})...`,
+        progress: 0
+      });
+    });
+  }
+});
+
+// DocSearch relies on one manual sign-in, so only one worker at a time may drive it
+const docsearchLock = new Lock();
+
+// Quick single-VIN lookups take turns so several at once don't each start a Ford browser
+const lookupLock = new Lock();
+const LOOKUP_DOCSEARCH_WAIT = 20000; // How long a quick lookup waits for DocSearch while a batch run is using it
+
+// Recall sources the pipeline runs: VIN-keyed ones first (ford.com), then recall-keyed ones for every recall
+// number they found (DocSearch). A new source extends RecallSource (lib/sourceRegistry.js) and is registered here;
+// VIN-keyed sources list the makes they handle, and each VIN only goes to the sources for its make.
+const sourceRegistry = new SourceRegistry();
+sourceRegistry.register(new FordSource({
+  rateLimiter: fordRateLimiter,
+  cache: fordCache,
+  concurrency: FORD_CONCURRENCY,
+  breakerThreshold: FORD_CIRCUIT_BREAKER_THRESHOLD
+}));
+sourceRegistry.register(new DocSearchSource({
+  username: process.env.DOCSEARCH_USERNAME,
+  password: process.env.DOCSEARCH_PASSWORD,
+  rateLimiter: docsearchRateLimiter,
+  cache: docsearchCache,
+  eaTtlHours: DOCSEARCH_CACHE_TTL_HOURS,
+  noneTtlHours: DOCSEARCH_NONE_CACHE_TTL_HOURS,
+  lock: docsearchLock
+}));
+
+// Make of each VIN from its World Manufacturer Identifier (first 3 characters); WMI_OVERRIDES adds or corrects
+// codes ("1ZZ=Ford, 9BF=Ford"). VINs of makes no source handles are listed on the "Unsupported Makes" sheet.
+const wmiTable = new WmiTable({ overrides: process.env.WMI_OVERRIDES });
+
+// Offline VIN decoding (make, model year, Ford models) that fills blank YEAR / MODEL / MANUFACTURER cells
+// in the workbook and flags input values the VIN contradicts
+const vinDecoder = new VinDecoder({ wmiTable });
+
+// VINs are normalized (case, spaces, dashes) and North American ones must pass the position-9 check digit; rejected
+// ones go to the "Invalid VINs" sheet with a reason code and suggested corrections. VIN_CHECK_DIGIT=false skips the check digit.
+const vinValidator = new VinValidator({ checkDigit: process.env.VIN_CHECK_DIGIT !== 'false' });
+
+// Prefer the live job object of a running job so status changes aren't overwritten by the scraping loop
+function getJob(jobId) {
+  const running = runningJobs.get(jobId);
+  return running ? running.job : jobStore.get(jobId);
+}
 
 // Middleware
 app.use(cors());
@@ -58,21 +251,31 @@ app.post('/upload', upload.single('excelFile'), async (req, res) => {
     const filePath = req.file.path;
     const fileName = req.file.originalname;
     const vinColumn = req.body.vinColumn || 'auto';
-    const sessionId = req.body.sessionId || Date.now().toString();
+    // The page picks the session ID so it can watch progress before the upload finishes; it becomes the job ID
+    if (req.body.sessionId && !isValidJobId(req.body.sessionId)) {
+      fs.unlinkSync(filePath);
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+    if (req.body.sessionId && (jobStore.get(req.body.sessionId) || runningJobs.has(req.body.sessionId))) {
+      fs.unlinkSync(filePath);
+      return res.status(409).json({ error: 'Session ID is already in use' });
+    }
+    const sessionId = req.body.sessionId || createJobId();
+    const requestedBy = (req.body.requestedBy || '').trim() || req.ip;
+    const forceRefresh = req.body.forceRefresh === 'true';
+    const traceAll = req.body.traceAll === 'true';
 
     // Process the uploaded file with session ID for progress updates
-    const result = await processExcelFile(filePath, fileName, vinColumn, sessionId);
+    const result = await processExcelFile(filePath, fileName, vinColumn, sessionId, { requestedBy, forceRefresh, traceAll });
     
     // Clean up uploaded file
     fs.unlinkSync(filePath);
 
-    // Close SSE connection
-    emitProgress(sessionId, { type: 'complete', data: result });
-    const client = sseClients.get(sessionId);
-    if (client) {
-      client.end();
+    // Jobs publish their own "complete" event; files without VINs never became a job
+    if (!result.jobId) {
+      emitProgress(sessionId, { type: 'complete', data: result });
+      progressHub.finish(sessionId);
     }
-    sseClients.delete(sessionId);
 
     res.json({
       success: true,
@@ -81,7 +284,36 @@ app.post('/upload', upload.single('excelFile'), async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof JobExistsError) {
+      // Another upload took the session ID first; its progress stream is not ours to touch
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(409).json({ error: 'Session ID is already in use' });
+    }
+    
+    if (error instanceof JobCancelledError) {
+      // Clean up uploaded file (the job already published its "cancelled" event)
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      
+      return res.json({
+        success: false,
+        cancelled: true,
+        message: 'Job cancelled'
+      });
+    }
+    
     console.error('Error processing file:', error);
+    
+    // Let every viewer know the run failed (a no-op if the job already published it)
+    const sessionId = req.body && req.body.sessionId;
+    if (sessionId && isValidJobId(sessionId) && !progressHub.isFinished(sessionId)) {
+      emitProgress(sessionId, { type: 'failed', message: `Error processing file: ${error.message}` });
+      progressHub.finish(sessionId);
+    }
+    
     res.status(500).json({ 
       error: 'Error processing file', 
       details: error.message 
@@ -128,31 +360,440 @@ app.post('/get-columns', upload.single('excelFile'), async (req, res) => {
   }
 });
 
-// Store for SSE connections
-const sseClients = new Map();
+// Buffered progress events per job (supports several viewers and Last-Event-ID replay)
+const progressHub = new ProgressHub();
 
 // SSE endpoint for progress updates
 app.get('/progress/:sessionId', (req, res) => {
-  const sessionId = req.params.sessionId;
+  progressHub.subscribe(req.params.sessionId, req, res);
+});
+
+// Helper function to emit progress
+function emitProgress(sessionId, data) {
+  progressHub.publish(sessionId, data);
+}
+
+// Run history page
+app.get('/history', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'history.html'));
+});
+
+// List past runs, newest first
+app.get('/runs', (req, res) => {
+  res.json({
+    success: true,
+    runs: runHistory.list(),
+    retention: HISTORY_RETENTION
+  });
+});
+
+// Zip of a run's failure evidence (screenshots, HTML, traces) plus its job record for offline diagnosis
+app.get('/runs/:runId/diagnostics', (req, res) => {
+  const job = jobStore.get(req.params.runId);
+  if (!job) {
+    return res.status(404).json({ error: 'No stored data for this run' });
+  }
   
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+  res.attachment(`diagnostics_${job.id}.zip`);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('error', (error) => {
+    console.error(`Error building diagnostics bundle for ${job.id}:`, error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
   
-  sseClients.set(sessionId, res);
+  archive.file(jobStore.getJobFile(job.id), { name: 'job.json' });
+  const run = runHistory.get(job.id);
+  if (run) {
+    archive.append(JSON.stringify(run, null, 2), { name: 'run.json' });
+  }
+  const evidenceDir = getEvidenceDir(job.id);
+  if (fs.existsSync(evidenceDir)) {
+    archive.directory(evidenceDir, 'evidence');
+  }
+  archive.finalize();
+});
+
+// Re-scrape only the VINs and recalls that failed in a finished run, then rebuild its workbook
+app.post('/runs/:runId/retry-failures', (req, res) => {
+  const job = getJob(req.params.runId);
+  if (!job) {
+    return res.status(404).json({ error: 'No stored data for this run' });
+  }
   
-  req.on('close', () => {
-    sseClients.delete(sessionId);
+  if (!['completed', 'failed'].includes(job.status)) {
+    return res.status(409).json({ error: `Only completed or failed runs can be retried (status: ${job.status})` });
+  }
+  
+  const { failedVins, failedRecalls } = jobStore.resetFailures(job);
+  if (failedVins.length === 0 && failedRecalls.length === 0) {
+    return res.status(409).json({ error: 'This run has no failed VINs or recalls to retry' });
+  }
+  
+  console.log(`🔁 Retrying run ${job.id}: ${failedVins.length} VIN(s), ${failedRecalls.length} recall(s)`);
+  jobStore.update(job, {
+    error: null,
+    siteChanged: null,
+    previousOutputFile: job.outputFile, // Replaced once the retry has written the merged workbook
+    retryCount: (job.retryCount || 0) + 1
+  });
+  
+  progressHub.reopen(job.id);
+  enqueueJob(job, job.id)
+    .then(result => {
+      console.log(`✅ Retry of run ${job.id} complete: ${result.downloadFile}`);
+    })
+    .catch(error => {
+      if (!(error instanceof JobCancelledError)) {
+        console.error(`❌ Retry of run ${job.id} failed:`, error.message);
+      }
+    });
+  
+  res.json({
+    success: true,
+    job: summarizeJob(job),
+    retry: { vinCount: failedVins.length, recallCount: failedRecalls.length }
   });
 });
 
-// Helper function to emit progress
-function emitProgress(sessionId, data) {
-  const client = sseClients.get(sessionId);
-  if (client) {
-    client.write(`data: ${JSON.stringify(data)}\n\n`);
+// Delete a run along with its output file and stored job data
+app.delete('/runs/:runId', (req, res) => {
+  const runId = req.params.runId;
+  
+  if (runningJobs.has(runId) || jobQueue.isWaiting(runId)) {
+    return res.status(409).json({ error: 'Run is still in progress' });
   }
-}
+  
+  const run = runHistory.remove(runId);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  
+  if (jobStore.get(runId)) {
+    jobStore.delete(runId);
+  }
+  
+  res.json({ success: true, run });
+});
+
+// Scheduled scans page
+app.get('/schedules', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'schedules.html'));
+});
+
+// List scheduled scans with their next run time
+app.get('/scheduled-scans', (req, res) => {
+  res.json({ success: true, schedules: scheduler.list() });
+});
+
+// Create a scheduled scan from an uploaded fleet file (kept with the schedule) or a watched path on the server
+app.post('/scheduled-scans', upload.single('fleetFile'), (req, res) => {
+  const scheduleId = createJobId();
+  let filePath = null;
+  
+  try {
+    if (req.file) {
+      // Keep a copy of the fleet file with the schedule; uploads/ is only scratch space
+      const scheduleDir = path.join(SCHEDULES_DIR, scheduleId);
+      fs.mkdirSync(scheduleDir, { recursive: true });
+      filePath = path.join(scheduleDir, path.basename(req.file.originalname));
+      fs.copyFileSync(req.file.path, filePath);
+      fs.unlinkSync(req.file.path);
+    }
+    
+    const schedule = scheduler.create({
+      id: scheduleId,
+      name: (req.body.name || '').trim() || undefined,
+      cron: (req.body.cron || '').trim(),
+      filePath,
+      fileName: req.file ? req.file.originalname : null,
+      watchPath: filePath ? null : (req.body.watchPath || '').trim() || null,
+      vinColumn: req.body.vinColumn || 'auto',
+      forceRefresh: req.body.forceRefresh === 'true',
+      traceAll: req.body.traceAll === 'true',
+      enabled: req.body.enabled !== 'false'
+    });
+    
+    console.log(`⏰ Scheduled scan "${schedule.name}" created (${schedule.cron})`);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    fs.rmSync(path.join(SCHEDULES_DIR, scheduleId), { recursive: true, force: true });
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change a scheduled scan's name, cron expression, watched path, options or enabled flag
+app.patch('/scheduled-scans/:scheduleId', (req, res) => {
+  const allowedFields = ['name', 'cron', 'watchPath', 'vinColumn', 'forceRefresh', 'traceAll', 'enabled'];
+  const changes = {};
+  allowedFields
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => {
+      changes[field] = req.body[field];
+    });
+  ['forceRefresh', 'traceAll', 'enabled'].filter(field => field in changes).forEach(field => {
+    changes[field] = changes[field] === true || changes[field] === 'true';
+  });
+  
+  try {
+    const schedule = scheduler.update(req.params.scheduleId, changes);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ success: true, schedule });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a scheduled scan and its stored fleet file (runs it already made stay in the history)
+app.delete('/scheduled-scans/:scheduleId', (req, res) => {
+  const schedule = scheduler.remove(req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  fs.rmSync(path.join(SCHEDULES_DIR, schedule.id), { recursive: true, force: true });
+  res.json({ success: true, schedule });
+});
+
+// Run a scheduled scan now instead of waiting for its next time
+app.post('/scheduled-scans/:scheduleId/run', (req, res) => {
+  const schedule = scheduler.get(req.params.scheduleId);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  if (scheduler.active.has(schedule.id)) {
+    return res.status(409).json({ error: 'Schedule is already running' });
+  }
+  
+  scheduler.run(schedule.id).catch(error => {
+    console.error(`Error running schedule ${schedule.id}:`, error.message);
+  });
+  res.json({ success: true, message: `Scheduled scan "${schedule.name}" started` });
+});
+
+// Job status endpoint (used to check on runs that were resumed after a restart)
+app.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({
+    success: true,
+    job: {
+      ...summarizeJob(job),
+      queuePosition: jobQueue.getPosition(job.id)
+    }
+  });
+});
+
+// Pause a running job after the VIN/recall currently being scraped
+app.post('/jobs/:jobId/pause', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = getJob(jobId);
+  const control = runningJobs.has(jobId) ? runningJobs.get(jobId).control : null;
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!control || !control.pause()) {
+    return res.status(409).json({ error: `Job is not running (status: ${job.status})` });
+  }
+  
+  jobStore.update(job, { status: 'paused' });
+  emitProgress(jobId, { type: 'paused', message: 'Paused - results so far have been saved' });
+  
+  res.json({ success: true, job: summarizeJob(job) });
+});
+
+// Resume a paused job (also restarts paused jobs left over from before a server restart)
+app.post('/jobs/:jobId/resume', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = getJob(jobId);
+  const control = runningJobs.has(jobId) ? runningJobs.get(jobId).control : null;
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'paused') {
+    return res.status(409).json({ error: `Job is not paused (status: ${job.status})` });
+  }
+  
+  emitProgress(jobId, { type: 'resumed', message: 'Resuming...' });
+  
+  if (control) {
+    jobStore.update(job, { status: 'running' });
+    control.resume();
+  } else {
+    // Not running in this process (e.g. paused before a restart) - send it back through the queue
+    enqueueJob(job, jobId).catch(error => {
+      if (!(error instanceof JobCancelledError)) {
+        console.error(`❌ Job ${jobId} failed after resume:`, error.message);
+      }
+    });
+  }
+  
+  res.json({ success: true, job: summarizeJob(job) });
+});
+
+// Cancel a job: stops scraping, closes the browsers and keeps the partial results in the job store
+app.post('/jobs/:jobId/cancel', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = getJob(jobId);
+  const control = runningJobs.has(jobId) ? runningJobs.get(jobId).control : null;
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  if (control) {
+    control.cancel();
+  } else if (jobQueue.isWaiting(jobId)) {
+    // Still waiting for a worker - take it out of the queue (runJob never sees it, so record the run here)
+    jobStore.update(job, { status: 'cancelled' });
+    recordRun(job);
+    jobQueue.remove(jobId, new JobCancelledError(jobId));
+  } else if (['queued', 'paused'].includes(job.status)) {
+    jobStore.update(job, { status: 'cancelled' });
+    recordRun(job);
+    emitProgress(jobId, { type: 'cancelled', message: 'Job cancelled.' });
+    progressHub.finish(jobId);
+  } else {
+    return res.status(409).json({ error: `Job cannot be cancelled (status: ${job.status})` });
+  }
+  
+  res.json({ success: true, job: summarizeJob(job) });
+});
+
+// Versioned JSON API for other internal tools: submit VINs, poll the job, fetch structured results
+const apiV1 = express.Router();
+
+// Asset metadata fields accepted with each VIN, and the input column each one fills in the output workbook
+const API_ASSET_FIELDS = {
+  assetNo: 'ASSET NO',
+  year: 'YEAR',
+  model: 'MODEL',
+  manufacturer: 'MANUFACTURER',
+  station: 'STATION'
+};
+
+// Create a job from { vins: ["1FT...", { vin, assetNo, year, model, manufacturer, station }], options: {...} }
+apiV1.post('/jobs', (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.vins) || body.vins.length === 0) {
+    return res.status(400).json({ error: 'Request body must contain a non-empty "vins" array' });
+  }
+  
+  const options = body.options || {};
+  if (options.sources !== undefined && !RUN_SOURCES[options.sources]) {
+    return res.status(400).json({ error: `Invalid sources "${options.sources}" (expected one of: ${Object.keys(RUN_SOURCES).join(', ')})` });
+  }
+  
+  const { vinNumbers, invalidVINs, duplicateCount } = parseApiVins(body.vins);
+  if (vinNumbers.length === 0) {
+    return res.status(400).json({
+      error: 'No valid VIN numbers in the request',
+      invalid: invalidVINs.map(formatApiInvalidVin)
+    });
+  }
+  
+  const jobId = createJobId();
+  const job = jobStore.create({
+    id: jobId,
+    ...getJobOptions({
+      requestedBy: options.requestedBy || `API (${req.ip})`,
+      forceRefresh: options.forceRefresh,
+      traceAll: options.traceAll,
+      sources: options.sources
+    }),
+    fileName: options.name || `API request (${vinNumbers.length} VINs)`,
+    vinColumn: 'auto',
+    detectedColumn: 'vin',
+    totalRows: body.vins.length,
+    vinNumbers,
+    invalidVINs
+  });
+  console.log(`🔌 API job ${jobId} created with ${vinNumbers.length} VIN(s)`);
+  
+  enqueueJob(job, jobId).catch(error => {
+    if (!(error instanceof JobCancelledError)) {
+      console.error(`❌ API job ${jobId} failed:`, error.message);
+    }
+  });
+  
+  res.status(202).json({
+    success: true,
+    job: formatApiJob(job),
+    accepted: vinNumbers.length,
+    duplicates: duplicateCount,
+    invalid: invalidVINs.map(formatApiInvalidVin)
+  });
+});
+
+// Job status: queue position, phase and how many VINs/recalls have been looked up so far
+apiV1.get('/jobs/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({ success: true, job: formatApiJob(job) });
+});
+
+// Registered recall sources and whether each can be used right now
+apiV1.get('/sources', async (req, res) => {
+  try {
+    res.json({ success: true, sources: await sourceRegistry.checkHealth() });
+  } catch (error) {
+    console.error('Error checking recall sources:', error);
+    res.status(500).json({ error: 'Error checking recall sources', details: error.message });
+  }
+});
+
+// Per-VIN results: Ford recalls with their type and the DocSearch EA number for each (partial while running)
+apiV1.get('/jobs/:jobId/results', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json({
+    success: true,
+    job: formatApiJob(job),
+    complete: job.status === 'completed',
+    results: job.vinNumbers.map(item => formatApiVinResult(item, job.fordResults[item.vin], job.docsearchResults, job.status === 'completed')),
+    invalid: job.invalidVINs.map(formatApiInvalidVin)
+  });
+});
+
+// Quick lookup of a single VIN (used by the lookup box on the main page): Ford recalls, then the EA for each
+apiV1.get('/vins/:vin/recalls', async (req, res) => {
+  const check = vinValidator.validate(req.params.vin);
+  const vin = check.vin;
+  if (!check.valid) {
+    return res.status(400).json({ error: `"${vin}" is not a valid VIN: ${check.reason}`, code: check.code, suggestions: check.suggestions });
+  }
+  
+  try {
+    const result = await lookupSingleVin(vin, { forceRefresh: req.query.refresh === 'true' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof SourceUnavailableError) {
+      console.warn(`🔎 Quick lookup ${vin}: ${error.message}`);
+      return res.status(503).json({ error: 'Ford lookup unavailable', details: error.message });
+    }
+    console.error(`Error looking up VIN ${vin}:`, error);
+    res.status(500).json({ error: 'Error looking up VIN', details: error.message });
+  }
+});
+
+app.use('/api/v1', apiV1);
 
 app.get('/download/:filename', (req, res) => {
   const filename = req.params.filename;
@@ -310,9 +951,6 @@ app.post('/compare', upload.single('comparisonFile'), async (req, res) => {
       const missingFilePath = path.join(__dirname, 'downloads', missingFileName);
       
       XLSX.writeFile(missingWorkbook, missingFilePath);
-      
-      // Clean up old files, keeping only the 5 most recent
-      cleanupOldFiles(5);
 
       res.json({
         success: true,
@@ -339,52 +977,322 @@ app.post('/compare', upload.single('comparisonFile'), async (req, res) => {
   }
 });
 
-// Function to clean up old files, keeping only the most recent ones
-function cleanupOldFiles(maxFiles = 5) {
+// Apply the history retention policy: expired runs lose their output file and stored job data
+function applyRetentionPolicy() {
   try {
-    const downloadsDir = path.join(__dirname, 'downloads');
+    const expiredRuns = runHistory.applyRetention(HISTORY_RETENTION);
+    expiredRuns.forEach(run => jobStore.delete(run.id));
+  } catch (error) {
+    console.error('Error applying retention policy:', error);
+  }
+}
+
+// Count Ford/DocSearch successes and failures stored for a job
+function countJobResults(job) {
+  // VINs of unsupported makes were never looked up, so they are neither successes nor failures
+  const storedResults = Object.values(job.fordResults);
+  const fordResults = storedResults.filter(result => !result.unsupportedMake);
+  const docsearchResults = Object.values(job.docsearchResults);
+  const fordSuccessCount = fordResults.filter(result => result.fordData && result.fordData.success !== false).length;
+  const docsearchSuccessCount = docsearchResults.filter(result => result.success !== false).length;
+  
+  return {
+    fordSuccessCount,
+    fordFailedCount: fordResults.length - fordSuccessCount,
+    docsearchSuccessCount,
+    docsearchFailedCount: docsearchResults.length - docsearchSuccessCount,
+    unsupportedMakeCount: storedResults.length - fordResults.length
+  };
+}
+
+function getEvidenceDir(jobId) {
+  return path.join(jobStore.getJobDir(jobId), 'evidence');
+}
+
+// Add a finished (completed, failed or cancelled) job to the run history
+function recordRun(job) {
+  try {
+    runHistory.record({
+      id: job.id,
+      requestedBy: job.requestedBy || '',
+      startedAt: job.createdAt,
+      completedAt: new Date().toISOString(),
+      status: job.status,
+      fileName: job.fileName,
+      vinCount: job.vinNumbers.length,
+      invalidVinCount: job.invalidVINs.length,
+      ...countJobResults(job),
+      fordCache: job.fordCache,
+      docsearchCache: job.docsearchCache,
+      evidenceCount: new EvidenceRecorder(getEvidenceDir(job.id)).list().filter(entry => entry.failed).length,
+      traceAll: Boolean(job.traceAll),
+      retryCount: job.retryCount || 0,
+      outputSummary: job.outputSummary || null,
+      scheduleId: job.scheduleId || null,
+      scheduleName: job.scheduleName || null,
+      outputFile: job.outputFile,
+      error: job.error
+    });
+  } catch (error) {
+    console.error(`Error recording run ${job.id} in history:`, error);
+  }
+}
+
+// Run one scheduled scan through the normal pipeline; the run lands in the history like an upload
+async function runScheduledScan(schedule, onStarted) {
+  const { filePath, fileName } = resolveScheduleFile(schedule, scheduler.watchRoot);
+  const sessionId = createJobId();
+  onStarted(sessionId);
+  
+  try {
+    const result = await processExcelFile(filePath, fileName, schedule.vinColumn, sessionId, {
+      requestedBy: `Schedule: ${schedule.name}`,
+      forceRefresh: schedule.forceRefresh,
+      traceAll: schedule.traceAll,
+      scheduleId: schedule.id,
+      scheduleName: schedule.name
+    });
+    
+    if (!result.jobId) {
+      // No VINs in the file, so no job (or history entry) was created
+      progressHub.finish(sessionId);
+      throw new Error(result.message);
+    }
     
-    // Check if downloads directory exists
-    if (!fs.existsSync(downloadsDir)) {
+    console.log(`⏰ Scheduled scan "${schedule.name}" complete: ${result.downloadFile}`);
+    return result;
+  } catch (error) {
+    if (!progressHub.isFinished(sessionId)) {
+      emitProgress(sessionId, { type: 'failed', message: `Error processing file: ${error.message}` });
+      progressHub.finish(sessionId);
+    }
+    throw error;
+  }
+}
+
+// Process a file picked up from the inbox with the default column settings
+async function processInboxFile(archivedPath, fileName) {
+  const sessionId = createJobId();
+  
+  try {
+    const result = await processExcelFile(archivedPath, fileName, 'auto', sessionId, {
+      requestedBy: 'Inbox',
+      inboxFile: archivedPath
+    });
+    
+    if (!result.jobId) {
+      // No VINs in the file, so no job was created
+      progressHub.finish(sessionId);
+      inboxWatcher.reject(archivedPath, result.message);
+    }
+    return result;
+  } catch (error) {
+    // Jobs hand their own result to the outbox/failed folder (see finishInboxJob); this is a file that couldn't be read
+    if (!jobStore.get(sessionId)) {
+      progressHub.finish(sessionId);
+      inboxWatcher.reject(archivedPath, error.message);
+    }
+    throw error;
+  }
+}
+
+// Copy an inbox job's workbook to the outbox, or move its input to the failed folder if the run didn't complete
+function finishInboxJob(job) {
+  if (!job.inboxFile || !inboxWatcher) {
+    return;
+  }
+  
+  try {
+    const outputPath = job.outputFile ? path.join(__dirname, 'downloads', job.outputFile) : null;
+    if (job.status === 'completed') {
+      const outboxPath = inboxWatcher.deliverOutput(outputPath, job.fileName);
+      console.log(`📤 Delivered results for ${job.fileName} to ${outboxPath}`);
       return;
     }
     
-    // Get all files in the downloads directory
-    const files = fs.readdirSync(downloadsDir);
+    if (outputPath && fs.existsSync(outputPath)) {
+      // Stopped early: the partial workbook still goes out
+      inboxWatcher.deliverOutput(outputPath, job.fileName, 'recalls_partial');
+    }
+    const failedPath = inboxWatcher.reject(job.inboxFile, job.status === 'cancelled' ? 'Job cancelled' : job.error || 'Job failed');
+    jobStore.update(job, { inboxFile: failedPath });
+  } catch (error) {
+    console.error(`Error handing off inbox job ${job.id}:`, error);
+  }
+}
+
+// Run options stored on a job (shared by uploads, scheduled/inbox/CLI runs and the JSON API)
+function getJobOptions(options = {}) {
+  return {
+    requestedBy: options.requestedBy || '',
+    forceRefresh: Boolean(options.forceRefresh),
+    traceAll: Boolean(options.traceAll),
+    scheduleId: options.scheduleId || null,
+    scheduleName: options.scheduleName || null,
+    inboxFile: options.inboxFile || null,
+    sources: RUN_SOURCES[options.sources] ? options.sources : 'all'
+  };
+}
+
+// Turn the "vins" array of an API request into job input rows (deduplicated), plus rows for invalid VINs
+function parseApiVins(items) {
+  const vinNumbers = [];
+  const invalidVINs = [];
+  const seen = new Set();
+  let duplicateCount = 0;
+  
+  items.forEach(item => {
+    const fields = item && typeof item === 'object' ? item : { vin: item };
+    const value = fields.vin === undefined || fields.vin === null ? '' : fields.vin.toString().trim();
+    const check = vinValidator.validate(value);
     
-    // Filter only Excel files
-    const excelFiles = files
-      .filter(file => file.startsWith('recall_data_') && file.endsWith('.xlsx'))
-      .map(file => ({
-        name: file,
-        path: path.join(downloadsDir, file),
-        stats: fs.statSync(path.join(downloadsDir, file))
-      }));
+    // Metadata ends up in the same columns an uploaded fleet file would have
+    const row = { 'SERIAL NO': check.valid ? check.vin : value };
+    Object.entries(fields).forEach(([key, fieldValue]) => {
+      if (key !== 'vin') row[API_ASSET_FIELDS[key] || key] = fieldValue;
+    });
     
-    // Sort by modification time (newest first)
-    excelFiles.sort((a, b) => b.stats.mtime - a.stats.mtime);
+    if (check.valid) {
+      if (seen.has(check.vin)) {
+        duplicateCount++;
+        return;
+      }
+      seen.add(check.vin);
+      vinNumbers.push({ vin: check.vin, originalRow: row });
+      return;
+    }
     
-    // If we have more files than the limit, delete the oldest ones
-    if (excelFiles.length > maxFiles) {
-      const filesToDelete = excelFiles.slice(maxFiles);
-      console.log(`Cleaning up ${filesToDelete.length} old file(s), keeping the 5 most recent...`);
-      
-      filesToDelete.forEach(file => {
-        try {
-          fs.unlinkSync(file.path);
-          console.log(`Deleted old file: ${file.name}`);
-        } catch (error) {
-          console.error(`Error deleting file ${file.name}:`, error);
-        }
-      });
+    invalidVINs.push(createInvalidVinRow(row, value, 'vin', check));
+  });
+  
+  return { vinNumbers, invalidVINs, duplicateCount };
+}
+
+function formatApiInvalidVin(row) {
+  return {
+    vin: row['Invalid VIN Value'],
+    reason: row['Reason'],
+    code: row['Reason Code'] || null,
+    suggestions: row['Suggested Corrections'] ? row['Suggested Corrections'].split(', ') : []
+  };
+}
+
+// Job status as returned by the JSON API
+function formatApiJob(job) {
+  return {
+    ...summarizeJob(job),
+    requestedBy: job.requestedBy || '',
+    sources: job.sources || 'all',
+    queuePosition: jobQueue.getPosition(job.id),
+    invalidVinCount: job.invalidVINs.length,
+    siteChanged: job.siteChanged || null,
+    links: {
+      self: `/api/v1/jobs/${encodeURIComponent(job.id)}`,
+      results: `/api/v1/jobs/${encodeURIComponent(job.id)}/results`,
+      download: job.outputFile ? `/download/${encodeURIComponent(job.outputFile)}` : null
     }
-  } catch (error) {
-    console.error('Error cleaning up old files:', error);
+  };
+}
+
+// One VIN's asset metadata, Ford recalls and EA numbers as returned by the JSON API
+// (stored is the VIN's Ford result, docsearchResults the DocSearch results by recall number)
+function formatApiVinResult(item, stored, docsearchResults, finished) {
+  const asset = {};
+  Object.entries(API_ASSET_FIELDS).forEach(([field, column]) => {
+    asset[field] = item.originalRow[column] !== undefined ? item.originalRow[column] : null;
+  });
+  
+  if (!stored) {
+    return { vin: item.vin, asset, status: 'pending', checkedAt: null, fromCache: false, error: null, recalls: [] };
+  }
+  if (stored.unsupportedMake) {
+    return { vin: item.vin, asset, status: 'unsupported', checkedAt: null, fromCache: false, error: describeUnsupportedMake(stored.wmi), recalls: [] };
   }
+  
+  const fordData = stored.fordData || {};
+  const failed = !stored.fordData || fordData.success === false;
+  const recalls = ((fordData.recallData && fordData.recallData.recalls) || [])
+    .filter(recall => recall.recallNumber &&
+      recall.recallNumber !== 'No recall information' &&
+      recall.recallNumber !== 'No recall information available')
+    .map(recall => {
+      const docsearchData = docsearchResults[recall.recallNumber];
+      let ea = { status: 'pending', number: null, error: null };
+      if (docsearchData && docsearchData.success === false) {
+        ea = { status: 'failed', number: null, error: docsearchData.error || null };
+      } else if (docsearchData) {
+        const hasEA = docsearchData.eaExists && docsearchData.eaNumber && docsearchData.eaNumber !== 'NONE';
+        ea = { status: hasEA ? 'found' : 'none', number: hasEA ? docsearchData.eaNumber : null, error: null };
+      } else if (finished) {
+        ea = { status: 'not-searched', number: null, error: null }; // Ford-only run, or DocSearch sign-in failed
+      }
+      
+      return {
+        recallNumber: recall.recallNumber,
+        type: recall.type || 'Recall',
+        description: recall.fullRecallNumber || null,
+        ea
+      };
+    });
+  
+  return {
+    vin: item.vin,
+    asset,
+    status: failed ? 'failed' : 'ok',
+    checkedAt: fordData.scrapedAt || stored.processedAt || null,
+    fromCache: Boolean(stored.fordCachedAt),
+    error: failed ? fordData.error || 'No Ford result' : null,
+    recalls
+  };
+}
+
+// Why a VIN of an unsupported make was not looked up
+function describeUnsupportedMake(wmi) {
+  return wmi.make
+    ? `No recall source for ${wmi.make} VINs`
+    : `Unknown manufacturer code (WMI ${wmi.code})`;
+}
+
+// YEAR, MODEL and MANUFACTURER for a workbook row: the input row's values with blanks filled from the decoded
+// VIN, plus 'VIN Mismatch' listing input values the VIN contradicts (getColumnValue reads the input row)
+function describeVehicle(vin, row, getColumnValue) {
+  const input = {
+    year: getColumnValue(row, 'YEAR'),
+    model: getColumnValue(row, 'MODEL'),
+    manufacturer: getColumnValue(row, 'MANUFACTURER', 'MAKE')
+  };
+  const decoded = vinDecoder.decode(vin);
+  const isBlank = value => value === undefined || value === null || value.toString().trim() === '';
+  
+  return {
+    'YEAR': isBlank(input.year) ? decoded.year || '' : input.year,
+    'MODEL': isBlank(input.model) ? decoded.model || '' : input.model,
+    'MANUFACTURER': isBlank(input.manufacturer) ? decoded.make || '' : input.manufacturer,
+    'VIN Mismatch': vinDecoder.findMismatches(decoded, input).join('; ')
+  };
+}
+
+// Whether a cell outside the VIN columns could hold a VIN: one word of letters, digits and dashes that is
+// 17 characters without the dashes and mixes letters and digits (so model names and dates don't count)
+function looksLikeVin(value) {
+  return /^[A-Za-z0-9-]+$/.test(value) && /[0-9]/.test(value) && /[A-Za-z]/.test(value) && normalizeVin(value).length === 17;
+}
+
+// A row for the "Invalid VINs" sheet: the input row plus why its VIN was rejected (check is a
+// VinValidator result, or { code, reason, suggestions } for rows without a VIN) and likely corrections
+function createInvalidVinRow(row, value, vinColumn, check) {
+  return {
+    ...row,
+    'Invalid VIN Value': value,
+    'VIN Column': vinColumn,
+    'Reason': check.reason,
+    'Reason Code': check.code,
+    'Suggested Corrections': (check.suggestions || []).join(', ')
+  };
 }
 
 // Function to process Excel file
-async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionId = null) {
+async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionId = null, options = {}) {
   try {
     // Read the Excel file
     const workbook = XLSX.readFile(filePath);
@@ -472,88 +1380,60 @@ async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionI
         const vinKeys = ['SERIAL NO', 'VIN', 'vin', 'Vin', 'VIN NO'];
         let vin = null;
         let foundKey = null;
+        // First rejected VIN of the row; it only goes to the Invalid VINs sheet if the row has no valid VIN
+        let invalidVin = null;
         
         for (const key of vinKeys) {
           if (row[key]) {
             const value = row[key].toString().trim();
-            // Validate VIN format (exactly 17 characters matching VIN pattern)
-            if (value.length === 17 && /^[A-HJ-NPR-Z0-9]{17}$/.test(value)) {
-              vin = value;
+            // Validate the VIN (normalized case/spaces/dashes, 17 VIN characters, check digit)
+            const check = vinValidator.validate(value);
+            if (check.valid) {
+              vin = check.vin;
               foundKey = key;
               break;
-            } else if (value) {
-              // Check if this is an invalid VIN (less than 10 characters or has some value)
-              // Store it for the Invalid VINs sheet
-              if (value.length > 0 && value.length < 10) {
-                invalidVINs.push({
-                  ...row,
-                  'Invalid VIN Value': value,
-                  'VIN Column': key,
-                  'Reason': `VIN is only ${value.length} characters (must be at least 10)`
-                });
-              } else if (value.length >= 10 && value.length !== 17) {
-                invalidVINs.push({
-                  ...row,
-                  'Invalid VIN Value': value,
-                  'VIN Column': key,
-                  'Reason': `VIN is ${value.length} characters (must be exactly 17)`
-                });
-              } else if (value.length === 17 && !/^[A-HJ-NPR-Z0-9]{17}$/.test(value)) {
-                invalidVINs.push({
-                  ...row,
-                  'Invalid VIN Value': value,
-                  'VIN Column': key,
-                  'Reason': 'VIN contains invalid characters'
-                });
-              }
-              // Log skipped value that's not a valid VIN
-              console.log(`Skipping non-VIN value in "${key}" column: "${value}" (length: ${value.length})`);
+            } else if (value && !invalidVin) {
+              // Keep it for the Invalid VINs sheet (with the reason and likely corrections)
+              invalidVin = createInvalidVinRow(row, value, key, check);
             }
           }
         }
         
-        // If no VIN found, try to find any column that looks like a VIN (17 characters)
+        // If no VIN found, try any other cell that looks like a VIN (one 17-character word of letters and digits)
         if (!vin) {
           let foundAnyValue = false;
           for (const [key, value] of Object.entries(row)) {
             if (value) {
               foundAnyValue = true;
               const strValue = value.toString().trim();
-              if (strValue.length === 17 && /^[A-HJ-NPR-Z0-9]{17}$/.test(strValue)) {
-                vin = strValue;
+              if (!looksLikeVin(strValue)) {
+                continue;
+              }
+              const check = vinValidator.validate(strValue);
+              if (check.valid) {
+                vin = check.vin;
                 foundKey = key;
                 break;
-              } else if (strValue.length > 0 && strValue.length < 10) {
-                // Potential invalid VIN - check if we haven't already added this row
-                const alreadyAdded = invalidVINs.some(inv => {
-                  // Check if this row is already in invalidVINs by comparing key fields
-                  return Object.keys(row).some(k => row[k] === inv[k]);
-                });
-                if (!alreadyAdded) {
-                  invalidVINs.push({
-                    ...row,
-                    'Invalid VIN Value': strValue,
-                    'VIN Column': key,
-                    'Reason': `VIN is only ${strValue.length} characters (must be at least 10)`
-                  });
-                }
+              } else if (!invalidVin && [REASON_CODES.EXCLUDED_LETTER, REASON_CODES.CHECK_DIGIT].includes(check.code)) {
+                // Almost a VIN (a typo or an I/O/Q) - worth suggesting corrections for
+                invalidVin = createInvalidVinRow(row, strValue, key, check);
               }
             }
           }
           // If no VIN value found in any column, add row as invalid
-          if (!vin && foundAnyValue) {
-            // Check if we haven't already added this row
-            const alreadyAdded = invalidVINs.some(inv => {
-              return Object.keys(row).some(k => row[k] === inv[k]);
+          if (!vin && !invalidVin && foundAnyValue) {
+            invalidVin = createInvalidVinRow(row, '', 'Not found', {
+              code: REASON_CODES.NOT_FOUND,
+              reason: 'No VIN value found in any column'
             });
-            if (!alreadyAdded) {
-              invalidVINs.push({
-                ...row,
-                'Invalid VIN Value': '',
-                'VIN Column': 'Not found',
-                'Reason': 'No VIN value found in any column'
-              });
-            }
+          }
+        }
+        
+        if (!vin && invalidVin) {
+          invalidVINs.push(invalidVin);
+          if (invalidVin['Invalid VIN Value']) {
+            // Log skipped value that's not a valid VIN
+            console.log(`Skipping non-VIN value in "${invalidVin['VIN Column']}" column: "${invalidVin['Invalid VIN Value']}" (${invalidVin['Reason']})`);
           }
         }
         
@@ -612,32 +1492,14 @@ async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionI
         data.forEach(row => {
           const vinValue = row[columnKey];
           if (vinValue) {
-            const vin = vinValue.toString().trim();
-            // Check for invalid VINs first
-            if (vin.length > 0 && vin.length < 10) {
-              invalidVINs.push({
-                ...row,
-                'Invalid VIN Value': vin,
-                'VIN Column': columnKey,
-                'Reason': `VIN is only ${vin.length} characters (must be at least 10)`
-              });
-            } else if (vin.length >= 10 && vin.length !== 17) {
-              invalidVINs.push({
-                ...row,
-                'Invalid VIN Value': vin,
-                'VIN Column': columnKey,
-                'Reason': `VIN is ${vin.length} characters (must be exactly 17)`
-              });
-            } else if (vin.length === 17 && !/^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) {
-              invalidVINs.push({
-                ...row,
-                'Invalid VIN Value': vin,
-                'VIN Column': columnKey,
-                'Reason': 'VIN contains invalid characters'
-              });
+            const value = vinValue.toString().trim();
+            // Validate the VIN (normalized case/spaces/dashes, 17 VIN characters, check digit)
+            const check = vinValidator.validate(value);
+            const vin = check.vin;
+            if (!check.valid && value) {
+              invalidVINs.push(createInvalidVinRow(row, value, columnKey, check));
             }
-            // Validate VIN format (exactly 17 characters matching VIN pattern)
-            if (vin.length === 17 && /^[A-HJ-NPR-Z0-9]{17}$/.test(vin)) {
+            if (check.valid) {
               // Get date from "DATETIME OPEN" column
               const dateInfo = getDateFromRow(row);
               
@@ -670,18 +1532,16 @@ async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionI
                 // First occurrence of this VIN
                 vinMap.set(vin, { vin, originalRow: row, dateInfo });
               }
-            } else if (vin) {
+            } else if (value) {
               // Log skipped value that's not a valid VIN
-              console.log(`Skipping non-VIN value in column ${vinColumn} (${columnKey}): "${vin}" (length: ${vin.length})`);
+              console.log(`Skipping non-VIN value in column ${vinColumn} (${columnKey}): "${value}" (${check.reason})`);
             }
           } else {
             // VIN column is empty or missing - add to invalid VINs
-            invalidVINs.push({
-              ...row,
-              'Invalid VIN Value': '',
-              'VIN Column': columnKey,
-              'Reason': 'VIN column is empty or missing'
-            });
+            invalidVINs.push(createInvalidVinRow(row, '', columnKey, {
+              code: REASON_CODES.EMPTY,
+              reason: 'VIN column is empty or missing'
+            }));
           }
         });
         
@@ -711,7 +1571,7 @@ async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionI
       const columnKeys = Object.keys(data[0] || {});
       
       for (const [key, value] of Object.entries(firstVin.originalRow)) {
-        if (value && value.toString().trim() === firstVin.vin) {
+        if (value && normalizeVin(value) === firstVin.vin) {
           const columnIndex = columnKeys.indexOf(key);
           detectedColumn = String.fromCharCode(65 + columnIndex); // A, B, C, etc.
           detectedColumnName = key; // Store the actual column name used
@@ -761,50 +1621,144 @@ async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionI
       };
     }
 
-    // Scrape data from Ford and DocSearch
-    const scrapedData = await scrapeVinData(vinNumbers.map(item => item.vin), sessionId);
-    
-    // Create a map of VIN to originalRow for efficient lookup
-    const vinToRowMap = new Map();
-    vinNumbers.forEach(item => {
-      vinToRowMap.set(item.vin, item.originalRow);
+    // Persist the run as a job so it can be resumed if the server restarts mid-scrape
+    const job = jobStore.create({
+      id: sessionId,
+      ...getJobOptions(options),
+      fileName: fileName,
+      vinColumn: vinColumn,
+      detectedColumn: detectedColumn,
+      totalRows: data.length,
+      vinNumbers: vinNumbers,
+      invalidVINs: invalidVINs
     });
+
+    return await enqueueJob(job, sessionId);
+
+  } catch (error) {
+    if (error instanceof JobCancelledError || error instanceof SiteChangedError || error instanceof JobExistsError) {
+      throw error;
+    }
+    throw new Error(`Error reading Excel file: ${error.message}`);
+  }
+}
+
+// Add originalRow data to each scraped result for Excel output
+// Match by VIN instead of index to ensure correct pairing
+// Also convert docsearchDataByRecall Map to plain object for JSON serialization
+function attachOriginalRows(scrapedData, vinNumbers) {
+  // Create a map of VIN to originalRow for efficient lookup
+  const vinToRowMap = new Map();
+  vinNumbers.forEach(item => {
+    vinToRowMap.set(item.vin, item.originalRow);
+  });
+  
+  return scrapedData.map((item) => {
+    const originalRow = vinToRowMap.get(item.vin);
+    if (!originalRow) {
+      console.warn(`⚠️ Warning: Could not find originalRow for VIN ${item.vin}`);
+    }
     
-    // Add originalRow data to each scraped result for Excel output
-    // Match by VIN instead of index to ensure correct pairing
-    // Also convert docsearchDataByRecall Map to plain object for JSON serialization
-    const scrapedDataWithRows = scrapedData.map((item) => {
-      const originalRow = vinToRowMap.get(item.vin);
-      if (!originalRow) {
-        console.warn(`⚠️ Warning: Could not find originalRow for VIN ${item.vin}`);
-      }
-      
-      // Convert docsearchDataByRecall Map to plain object for JSON serialization
-      let docsearchDataByRecallObj = {};
-      if (item.docsearchDataByRecall && item.docsearchDataByRecall instanceof Map) {
-        item.docsearchDataByRecall.forEach((value, key) => {
-          docsearchDataByRecallObj[key] = value;
+    // Convert docsearchDataByRecall Map to plain object for JSON serialization
+    let docsearchDataByRecallObj = {};
+    if (item.docsearchDataByRecall && item.docsearchDataByRecall instanceof Map) {
+      item.docsearchDataByRecall.forEach((value, key) => {
+        docsearchDataByRecallObj[key] = value;
+      });
+    }
+    
+    return {
+      ...item,
+      originalRow: originalRow || {},
+      docsearchDataByRecall: docsearchDataByRecallObj // Replace Map with plain object
+    };
+  });
+}
+
+// Write a workbook from whatever a stopped job had gathered (VINs scraped so far); returns the file name and sheet counts
+async function createPartialOutput(job) {
+  const scrapedData = job.vinNumbers
+    .filter(item => job.fordResults[item.vin])
+    .map(item => restoreVinResult(job.fordResults[item.vin]));
+  
+  const outputFileName = `recall_data_${Date.now()}_partial.xlsx`;
+  const outputPath = path.join(__dirname, 'downloads', outputFileName);
+  const outputSummary = await createOutputExcel(attachOriginalRows(scrapedData, job.vinNumbers), outputPath, job.invalidVINs, buildRunSummary(job));
+  return { outputFile: outputFileName, outputSummary };
+}
+
+// Write the run's workbook again with only one station's vehicles (for that station's email digest); resolves with the file contents
+async function createStationOutput(job, station) {
+  const inStation = row => getStation(row).toUpperCase() === station.toUpperCase();
+  const vinNumbers = job.vinNumbers.filter(item => inStation(item.originalRow));
+  const vinSources = sourceRegistry.list('vin');
+  const recallSources = sourceRegistry.list('recall');
+  const scrapedData = vinNumbers
+    .filter(item => job.fordResults[item.vin])
+    .map(item => {
+      // The stored VIN results don't carry the recall-keyed results (EA numbers) - map those back on
+      const vinResult = restoreVinResult(job.fordResults[item.vin]);
+      const recallNumbers = new Set(vinSources.flatMap(source => source.getRecallNumbers(vinResult)));
+      recallSources.forEach(source => {
+        const storedResults = job[`${source.name}Results`] || {};
+        recallNumbers.forEach(recallNumber => {
+          if (storedResults[recallNumber]) source.merge(vinResult, recallNumber, storedResults[recallNumber]);
         });
-      }
-      
-      return {
-        ...item,
-        originalRow: originalRow || {},
-        docsearchDataByRecall: docsearchDataByRecallObj // Replace Map with plain object
-      };
+      });
+      return vinResult;
     });
+  
+  const outputPath = path.join(os.tmpdir(), `recall_data_${job.id}_${Date.now()}_station.xlsx`);
+  try {
+    await createOutputExcel(attachOriginalRows(scrapedData, vinNumbers), outputPath, job.invalidVINs.filter(inStation), buildRunSummary(job));
+    return fs.readFileSync(outputPath);
+  } finally {
+    fs.rmSync(outputPath, { force: true });
+  }
+}
+
+// Function to run (or resume) a persisted job through scraping and Excel creation
+async function runJob(job, sessionId = null) {
+  const vinNumbers = job.vinNumbers;
+  const control = new JobControl(job.id);
+  runningJobs.set(job.id, { job, control });
+  
+  try {
+    jobStore.update(job, { status: 'running', error: null });
+    notifyWebhooks('job.started', job);
+    
+    // Scrape data from Ford and DocSearch
+    const scrapedData = await scrapeVinData(vinNumbers.map(item => item.vin), sessionId, job, control);
+    
+    const scrapedDataWithRows = attachOriginalRows(scrapedData, vinNumbers);
     
     // Emit progress: Starting Excel creation
+    jobStore.update(job, { phase: 'output' });
     if (sessionId) emitProgress(sessionId, { type: 'progress', message: 'Creating output file...', progress: 90 });
     
     // Create output Excel file
     const outputFileName = `recall_data_${Date.now()}.xlsx`;
     const outputPath = path.join(__dirname, 'downloads', outputFileName);
     
-    await createOutputExcel(scrapedDataWithRows, outputPath, invalidVINs);
+    const outputSummary = await createOutputExcel(scrapedDataWithRows, outputPath, job.invalidVINs, buildRunSummary(job));
     
-    // Clean up old files, keeping only the 5 most recent
-    cleanupOldFiles(5);
+    // A retried run replaces the workbook from its earlier attempt
+    if (job.previousOutputFile && job.previousOutputFile !== outputFileName) {
+      runHistory.deleteOutputFile({ outputFile: job.previousOutputFile });
+    }
+    
+    jobStore.update(job, {
+      status: 'completed',
+      phase: 'complete',
+      outputFile: outputFileName,
+      outputSummary,
+      previousOutputFile: null,
+      completedAt: new Date().toISOString()
+    });
+    recordRun(job);
+    
+    // Expire old runs according to the retention policy (instead of keeping only the last 5 files)
+    applyRetentionPolicy();
     
     // Convert docsearchDataByRecall Maps to plain objects for JSON serialization in scrapedData
     const scrapedDataForResponse = scrapedData.map((item) => {
@@ -821,384 +1775,647 @@ async function processExcelFile(filePath, fileName, vinColumn = 'auto', sessionI
     });
     
     return {
-      fileName: fileName,
-      totalRows: data.length,
+      jobId: job.id,
+      fileName: job.fileName,
+      totalRows: job.totalRows,
       vinCount: vinNumbers.length,
       vinNumbers: vinNumbers.map(item => item.vin),
-      columnUsed: vinColumn,
-      detectedColumn: detectedColumn,
+      columnUsed: job.vinColumn,
+      detectedColumn: job.detectedColumn,
       scrapedData: scrapedDataForResponse,
       downloadFile: outputFileName,
+      fordCache: job.fordCache,
+      docsearchCache: job.docsearchCache,
       message: ` Successfully processed ${vinNumbers.length} VIN numbers and scraped recall data.`
     };
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      // Keep whatever was scraped before the cancel in the job store
+      jobStore.update(job, { status: 'cancelled', error: null });
+      console.log(`🛑 Job ${job.id} cancelled`);
+    } else if (error instanceof SiteChangedError) {
+      // Stopped by the circuit breaker: keep the results and hand them out as a partial workbook
+      jobStore.update(job, { status: 'failed', error: error.message, siteChanged: error.diagnosis });
+      try {
+        jobStore.update(job, await createPartialOutput(job));
+        console.log(`📁 Partial results for job ${job.id} saved to ${job.outputFile}`);
+        if (job.previousOutputFile) {
+          runHistory.deleteOutputFile({ outputFile: job.previousOutputFile });
+          jobStore.update(job, { previousOutputFile: null });
+        }
+      } catch (outputError) {
+        console.error(`Error writing partial output for job ${job.id}:`, outputError);
+      }
+    } else {
+      jobStore.update(job, { status: 'failed', error: error.message });
+    }
+    recordRun(job);
+    throw error;
+  } finally {
+    runningJobs.delete(job.id);
+  }
+}
+
+// Rows for the "Run Summary" sheet of the output workbook
+function buildRunSummary(job) {
+  const fordCacheStats = job.fordCache || { hits: 0, misses: 0 };
+  const docsearchCacheStats = job.docsearchCache || { hits: 0, misses: 0 };
+  
+  return [
+    { 'Item': 'Input File', 'Value': job.fileName },
+    { 'Item': 'Requested By', 'Value': job.requestedBy || '' },
+    { 'Item': 'Started', 'Value': job.createdAt },
+    { 'Item': 'VINs Processed', 'Value': job.vinNumbers.length },
+    { 'Item': 'Invalid VINs', 'Value': job.invalidVINs.length },
+    { 'Item': 'Unsupported Makes (Not Looked Up)', 'Value': countJobResults(job).unsupportedMakeCount },
+    { 'Item': 'Ford Cache Hits', 'Value': fordCacheStats.hits },
+    { 'Item': 'Ford Cache Misses (Scraped)', 'Value': fordCacheStats.misses },
+    { 'Item': 'Ford Cache Freshness (hours)', 'Value': fordCache.isEnabled() ? FORD_CACHE_TTL_HOURS : 'Disabled' },
+    { 'Item': 'DocSearch Cache Hits', 'Value': docsearchCacheStats.hits },
+    { 'Item': 'DocSearch Cache Misses (Searched)', 'Value': docsearchCacheStats.misses },
+    { 'Item': 'DocSearch Cache Freshness (hours, EA / NONE)', 'Value': docsearchCache.isEnabled() ? `${DOCSEARCH_CACHE_TTL_HOURS} / ${DOCSEARCH_NONE_CACHE_TTL_HOURS}` : 'Disabled' },
+    { 'Item': 'Force Refresh', 'Value': job.forceRefresh ? 'Yes' : 'No' },
+    { 'Item': 'Sources', 'Value': RUN_SOURCES[job.sources || 'all'] },
+    ...(job.siteChanged ? [
+      { 'Item': 'Stopped Early', 'Value': job.siteChanged.message },
+      { 'Item': 'VINs Scraped Before Stop', 'Value': Object.keys(job.fordResults).length }
+    ] : [])
+  ];
+}
+
+// Look up one VIN outside the job queue: Ford recalls (cached while fresh), then the DocSearch EA for each recall.
+// DocSearch is skipped (EA "not-searched") when a batch run holds it for too long or no one is signed in.
+async function lookupSingleVin(vin, options = {}) {
+  const forceRefresh = Boolean(options.forceRefresh);
+  const control = new JobControl(`lookup-${vin}`);
+  const fordSource = sourceRegistry.get('ford');
+  let stored = null;
+  
+  // Other makes never reach ford.com
+  const wmi = wmiTable.lookup(vin);
+  if (!fordSource.supportsMake(wmi.make)) {
+    console.log(`🔎 Quick lookup ${vin}: ${describeUnsupportedMake(wmi)}`);
+    return {
+      result: formatApiVinResult({ vin, originalRow: {} }, { wmi, unsupportedMake: true }, {}, true),
+      docsearchMessage: null
+    };
+  }
+  
+  const cachedFordResult = forceRefresh ? null : fordCache.get(vin);
+  if (cachedFordResult) {
+    console.log(`🔎 Quick lookup ${vin}: using cached Ford data (cached ${cachedFordResult.cachedAt})`);
+    stored = { fordData: cachedFordResult.value, fordCachedAt: cachedFordResult.cachedAt };
+  } else {
+    const release = await lookupLock.acquire();
+    let session = null;
+    try {
+      // The limiter would hold the request until quiet hours end or the hourly cap frees up - don't keep the caller waiting
+      const blockedReason = fordRateLimiter.getBlockedReason();
+      if (blockedReason) {
+        throw new SourceUnavailableError(`Ford lookups are paused: ${blockedReason}`);
+      }
+      console.log(`🔎 Quick lookup ${vin}: scraping Ford...`);
+      session = await fordSource.initialize({ control, progress: () => {}, evidence: null }, [vin]);
+      const fordData = await fordSource.lookup(session, vin, 0);
+      fordSource.cacheResult(vin, fordData);
+      stored = { fordData, processedAt: new Date().toISOString() };
+    } finally {
+      if (session) await fordSource.close(session);
+      release();
+    }
+  }
+  
+  const recallNumbers = fordSource.getRecallNumbers(stored);
+  
+  const docsearchResults = {};
+  if (!forceRefresh) {
+    recallNumbers.forEach(recallNumber => {
+      const cached = docsearchCache.get(recallNumber);
+      if (cached) docsearchResults[recallNumber] = cached.value;
+    });
+  }
+  
+  const pendingRecalls = recallNumbers.filter(recallNumber => !docsearchResults[recallNumber]);
+  let docsearchMessage = null;
+  if (pendingRecalls.length > 0) {
+    docsearchMessage = await lookupDocsearchEAs(pendingRecalls, docsearchResults, control);
+  }
+  
+  return {
+    result: formatApiVinResult({ vin, originalRow: {} }, stored, docsearchResults, true),
+    docsearchMessage
+  };
+}
+
+// Search DocSearch for each recall number into docsearchResults; returns a note when DocSearch couldn't be used
+async function lookupDocsearchEAs(recallNumbers, docsearchResults, control) {
+  const docsearchSource = sourceRegistry.get('docsearch');
+  const blockedReason = docsearchRateLimiter.getBlockedReason();
+  if (blockedReason) {
+    return `DocSearch lookups are paused: ${blockedReason} - EA numbers were not looked up`;
+  }
+  
+  let session;
+  try {
+    // Don't queue behind a long batch run or wait for a manual sign-in
+    session = await docsearchSource.initialize({
+      control,
+      progress: () => {},
+      evidence: null,
+      lockWaitMs: LOOKUP_DOCSEARCH_WAIT,
+      interactive: false
+    }, recallNumbers);
+  } catch (error) {
+    if (error instanceof SourceUnavailableError) {
+      return `${error.message} - EA numbers were not looked up`;
+    }
+    throw error;
+  }
+  
+  try {
+    for (const recallNumber of recallNumbers) {
+      docsearchResults[recallNumber] = await docsearchSource.lookup(session, recallNumber);
+      docsearchSource.cacheResult(recallNumber, docsearchResults[recallNumber]);
+    }
+    return null;
+  } catch (error) {
+    if (!(error instanceof SourceUnavailableError)) {
+      throw error;
+    }
+    // A browser restart failed or the sign-in was lost part way: the recalls not searched yet fail with the reason
+    recallNumbers.filter(recallNumber => !docsearchResults[recallNumber]).forEach(recallNumber => {
+      docsearchResults[recallNumber] = docsearchSource.failure(recallNumber, error.message);
+    });
+    return `${error.message} - some EA numbers were not looked up`;
+  } finally {
+    await docsearchSource.close(session);
+  }
+}
+
+// Tell the webhook targets about a job event (fire and forget; deliveries retry on their own)
+function notifyWebhooks(event, job) {
+  if (!webhookNotifier.isEnabled()) {
+    return;
+  }
+  
+  const finished = event !== 'job.started';
+  trackNotification(webhookNotifier.send(event, {
+    job: {
+      id: job.id,
+      status: job.status,
+      fileName: job.fileName,
+      requestedBy: job.requestedBy || '',
+      scheduleName: job.scheduleName || null,
+      sources: job.sources || 'all',
+      createdAt: job.createdAt,
+      completedAt: finished ? job.completedAt || new Date().toISOString() : null,
+      vinCount: job.vinNumbers.length,
+      invalidVinCount: job.invalidVINs.length,
+      retryCount: job.retryCount || 0,
+      error: job.error || null,
+      stoppedEarly: Boolean(job.siteChanged),
+      ...(finished ? countJobResults(job) : {})
+    },
+    // Counts from the Needs EA / Needs WO sheets of the workbook (partial workbook if the run stopped early)
+    summary: finished ? job.outputSummary || null : null,
+    downloadUrl: finished && job.outputFile ? `${PUBLIC_URL}/download/${encodeURIComponent(job.outputFile)}` : null,
+    statusUrl: `${PUBLIC_URL}/api/v1/jobs/${encodeURIComponent(job.id)}`
+  }).catch(error => {
+    console.error(`Error sending ${event} webhooks for job ${job.id}:`, error);
+  }));
+}
+
+// Email the run digest with the workbook attached (runs that failed without a partial workbook send nothing)
+function emailRunDigest(job) {
+  if (!emailDigest.isEnabled() || !job.outputFile) {
+    return;
+  }
+  
+  trackNotification(emailDigest.sendRunDigest({
+    fileName: job.fileName,
+    requestedBy: job.requestedBy || '',
+    status: job.status,
+    error: job.error || null,
+    completedAt: job.completedAt || new Date().toISOString(),
+    summary: job.outputSummary || null,
+    workbookPath: path.join(__dirname, 'downloads', job.outputFile),
+    downloadUrl: `${PUBLIC_URL}/download/${encodeURIComponent(job.outputFile)}`,
+    createStationWorkbook: station => createStationOutput(job, station)
+  }).catch(error => {
+    console.error(`Error emailing run digest for job ${job.id}:`, error);
+  }));
+}
+
+function trackNotification(promise) {
+  pendingNotifications.add(promise);
+  promise.finally(() => pendingNotifications.delete(promise));
+}
+
+// Resolves once every webhook delivery and email sent so far has finished (or given up)
+function waitForNotifications() {
+  return Promise.all(Array.from(pendingNotifications));
+}
+
+// Put a job in the queue; resolves with the runJob result once a worker has finished it
+function enqueueJob(job, sessionId = null) {
+  jobStore.update(job, { status: 'queued' });
+  
+  return jobQueue.enqueue(job.id, () => runJob(job, sessionId))
+    .then(result => {
+      finishInboxJob(job);
+      notifyWebhooks('job.completed', job);
+      emailRunDigest(job);
+      emitProgress(sessionId, { type: 'complete', data: result });
+      progressHub.finish(sessionId);
+      return result;
+    })
+    .catch(error => {
+      finishInboxJob(job);
+      if (!(error instanceof JobCancelledError)) {
+        notifyWebhooks('job.failed', job);
+        emailRunDigest(job);
+      }
+      if (error instanceof JobCancelledError) {
+        emitProgress(sessionId, { type: 'cancelled', message: 'Job cancelled. Browsers have been closed.' });
+      } else {
+        emitProgress(sessionId, {
+          type: 'failed',
+          message: `Error processing file: ${error.message}`,
+          downloadFile: job.outputFile || null // Partial results, when the run was stopped early
+        });
+      }
+      progressHub.finish(sessionId);
+      throw error;
+    });
+}
 
-  } catch (error) {
-    throw new Error(`Error reading Excel file: ${error.message}`);
+// Re-queue jobs that were queued or running when the server last stopped (oldest first)
+async function resumeInterruptedJobs() {
+  const jobs = jobStore.listResumable();
+  if (jobs.length === 0) {
+    return;
   }
+  
+  console.log(`\n🔄 Resuming ${jobs.length} interrupted job(s)...`);
+  
+  const runs = jobs.map(job => {
+    const completedVins = Object.keys(job.fordResults).length;
+    console.log(`🔄 Re-queuing job ${job.id} (${job.fileName}) in phase "${job.phase}" - ${completedVins}/${job.vinNumbers.length} VINs already scraped`);
+    
+    return enqueueJob(job, job.id)
+      .then(result => {
+        console.log(`✅ Resumed job ${job.id} complete: ${result.downloadFile}`);
+      })
+      .catch(error => {
+        if (!(error instanceof JobCancelledError)) {
+          console.error(`❌ Resumed job ${job.id} failed:`, error.message);
+        }
+      });
+  });
+  
+  await Promise.all(runs);
+}
+
+// Empty per-VIN record; every source merges its results into it
+function createVinRecord(vin) {
+  return {
+    vin: vin,
+    fordData: null,
+    docsearchData: null, // Kept for backwards compatibility
+    docsearchDataByRecall: new Map(), // Map of recall number -> DocSearch data
+    processedAt: new Date().toISOString()
+  };
 }
 
-// Function to scrape VIN data from Ford and DocSearch
-async function scrapeVinData(vinNumbers, sessionId = null) {
-  const fordScraper = new FordScraper();
-  // Initialize DocSearch scraper (credentials not required for manual sign-in)
-  const docsearchScraper = new DocSearchScraper(
-    process.env.DOCSEARCH_USERNAME || '',
-    process.env.DOCSEARCH_PASSWORD || ''
-  );
+// Look up VINs with every registered recall source: VIN-keyed sources first (30-60% progress), then
+// recall-keyed sources once per unique recall number the VIN-keyed ones found (60-90%)
+// When a persisted job is passed in, VINs and recalls it already has results for are skipped
+// The job control is checked between lookups so the run can be paused or cancelled
+async function scrapeVinData(vinNumbers, sessionId = null, job = null, control = null) {
+  const run = {
+    job,
+    control: control || new JobControl(job ? job.id : 'run'),
+    forceRefresh: Boolean(job && job.forceRefresh),
+    evidence: job ? new EvidenceRecorder(getEvidenceDir(job.id), {
+      traceFailures: DIAGNOSTICS_TRACE_FAILURES,
+      traceAll: job.traceAll
+    }) : null,
+    progressPercent: 20,
+    // Progress events from the sources themselves keep the bar where it is
+    progress: (event) => {
+      if (sessionId) emitProgress(sessionId, { progress: run.progressPercent, ...event });
+    }
+  };
 
-  const results = [];
+  // Sources a "Ford only" / "DocSearch only" run skips still serve cached and stored results
+  const runSources = (job && job.sources) || 'all';
+  const isLive = source => runSources === 'all' || runSources === source.name;
 
-  try {
-    // Initialize Ford scraper first
-    console.log('Initializing Ford scraper...');
-    if (sessionId) emitProgress(sessionId, { type: 'progress', message: 'Initializing scrapers...', progress: 20 });
-    const fordInitialized = await fordScraper.initialize();
+  // One record per VIN, in input order; VINs looked up before a restart continue from their stored record
+  const storedVinResults = job ? job.fordResults : {};
+  const results = vinNumbers.map(vin => storedVinResults[vin] ? restoreVinResult(storedVinResults[vin]) : createVinRecord(vin));
+  const resultsByVin = new Map(results.map(result => [result.vin, result]));
 
-    if (!fordInitialized) {
-      console.warn('Ford scraper initialization failed');
+  const vinSources = sourceRegistry.list('vin');
+  const recallSources = sourceRegistry.list('recall');
+
+  try {
+    if (run.forceRefresh) {
+      console.log('🔄 Force refresh requested - ignoring cached results');
     }
 
-    // PHASE 1: Process all VINs with Ford scraper
-    console.log(`\n=== PHASE 1: FORD SCRAPING (${vinNumbers.length} VINs) ===`);
-    
-    // Estimate time: ~5-10 seconds per VIN + 3 second delay = ~8-13 seconds per VIN
-    const estimatedMinutes = Math.ceil((vinNumbers.length * 10) / 60);
-    if (vinNumbers.length > 50) {
-      console.log(`⏱️  Estimated time: ~${estimatedMinutes} minutes for ${vinNumbers.length} VINs`);
+    // Route each VIN by the make behind its WMI; VINs no VIN-keyed source handles are reported, not looked up
+    const unsupportedResults = [];
+    results.forEach(result => {
+      result.wmi = wmiTable.lookup(result.vin);
+      result.unsupportedMake = sourceRegistry.route(result.wmi.make).length === 0;
+      if (result.unsupportedMake) unsupportedResults.push(result);
+    });
+    if (unsupportedResults.length > 0) {
+      const countsByMake = new Map();
+      unsupportedResults.forEach(result => {
+        const make = result.wmi.make || `Unknown WMI ${result.wmi.code}`;
+        countsByMake.set(make, (countsByMake.get(make) || 0) + 1);
+      });
+      const makeList = Array.from(countsByMake.entries()).map(([make, count]) => `${make}: ${count}`).join(', ');
+      console.log(`🚫 ${unsupportedResults.length} VIN(s) of unsupported makes will not be looked up (${makeList})`);
+      run.progress({ type: 'progress', message: `Skipping ${unsupportedResults.length} VIN(s) of unsupported makes (${makeList})` });
+      if (job) jobStore.recordFordResults(job, unsupportedResults);
     }
-    
-    if (sessionId) emitProgress(sessionId, { type: 'progress', message: 'Scraping Ford recall data...', progress: 30 });
-    
-    const BATCH_SIZE = 50; // Restart browser every 50 VINs to prevent memory issues
-    const REQUEST_TIMEOUT = 60000; // 60 second timeout per VIN
-    
-    for (let i = 0; i < vinNumbers.length; i++) {
-      const vin = vinNumbers[i];
-      const progressPercent = 30 + Math.floor((i / vinNumbers.length) * 30); // 30-60% progress
-      console.log(`\nFord scraping VIN ${i + 1}/${vinNumbers.length}: ${vin}`);
-      
-      if (sessionId) {
-        emitProgress(sessionId, { 
-          type: 'progress', 
-          message: `Scraping Ford recall data... (${i + 1}/${vinNumbers.length})`, 
-          progress: progressPercent 
-        });
+
+    // PHASE 1: VIN-keyed sources, each with the VINs of the makes it handles
+    for (const [index, source] of vinSources.entries()) {
+      const routedVins = vinNumbers.filter(vin => source.supportsMake(resultsByVin.get(vin).wmi.make));
+      const vins = routedVins.filter(vin => !source.hasResult(resultsByVin.get(vin)));
+      if (vins.length < routedVins.length) {
+        console.log(`🔄 ${routedVins.length - vins.length}/${routedVins.length} VINs already have ${source.label} results`);
+      }
+      if (routedVins.length === 0) {
+        continue;
       }
 
-      const vinResult = {
-        vin: vin,
-        fordData: null,
-        docsearchData: null, // Kept for backwards compatibility
-        docsearchDataByRecall: new Map(), // Map of recall number -> DocSearch data
-        processedAt: new Date().toISOString()
-      };
+      await runSourceLookups(source, vins, run, {
+        live: isLive(source),
+        total: routedVins.length,
+        progressRange: splitProgressRange(30, 60, index, vinSources.length),
+        onResult: (vin, result, cachedAt) => {
+          const vinResult = resultsByVin.get(vin);
+          source.merge(vinResult, vin, result, cachedAt);
+          if (job) jobStore.recordFordResult(job, vinResult);
+        }
+      });
+    }
 
-      // Scrape Ford data with timeout and retry logic
-      if (fordInitialized) {
-        let retryCount = 0;
-        const MAX_RETRIES = 1; // One retry with browser restart
-        let scrapingSuccess = false;
-        
-        while (retryCount <= MAX_RETRIES && !scrapingSuccess) {
-          try {
-            // Add timeout wrapper for individual VIN scraping
-            const scrapingPromise = fordScraper.scrapeVinRecallData(vin);
-            const timeoutPromise = new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Request timeout after 60 seconds')), REQUEST_TIMEOUT)
-            );
-            
-            vinResult.fordData = await Promise.race([scrapingPromise, timeoutPromise]);
-            
-            // Check if scraping was successful
-            if (vinResult.fordData && vinResult.fordData.success !== false) {
-              scrapingSuccess = true;
-              console.log(`✅ Ford data scraped for VIN: ${vin}`);
-            } else {
-              throw new Error(vinResult.fordData?.error || 'Scraping failed');
-            }
-          } catch (error) {
-            const errorMessage = error.message || '';
-            const isVinInputError = errorMessage.includes('Could not find VIN input field');
-            const isNsErrorAbort = errorMessage.includes('NS_ERROR_ABORT');
-            const needsBrowserRestart = isVinInputError || isNsErrorAbort;
-            
-            if (needsBrowserRestart && retryCount < MAX_RETRIES) {
-              console.error(`❌ Error scraping Ford data for VIN ${vin}: ${errorMessage}`);
-              console.log(`🔄 Restarting browser and retrying (attempt ${retryCount + 1}/${MAX_RETRIES + 1})...`);
-              
-              try {
-                await fordScraper.close();
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                const reinitialized = await fordScraper.initialize();
-                
-                if (!reinitialized) {
-                  console.error('❌ Failed to restart browser. Marking as failed...');
-                  vinResult.fordData = {
-                    vin: vin,
-                    success: false,
-                    error: `Failed to restart browser after error: ${errorMessage}`
-                  };
-                  scrapingSuccess = true; // Stop retrying
-                } else {
-                  console.log('✅ Browser restarted successfully. Retrying...');
-                  retryCount++;
-                  // Continue to retry
-                }
-              } catch (restartError) {
-                console.error('❌ Error during browser restart:', restartError);
-                vinResult.fordData = {
-                  vin: vin,
-                  success: false,
-                  error: `Browser restart failed: ${restartError.message}`
-                };
-                scrapingSuccess = true; // Stop retrying
-              }
-            } else {
-              // No retry needed or max retries reached
-              console.error(`❌ Error scraping Ford data for VIN ${vin}:`, errorMessage);
-              vinResult.fordData = {
-                vin: vin,
-                success: false,
-                error: errorMessage
-              };
-              scrapingSuccess = true; // Stop retrying
-            }
-          }
+    // Collect the unique recall/satisfaction numbers across all VINs, with the VINs that have each one
+    const recallToVinsMap = new Map();
+    for (const result of results) {
+      const recallNumbers = new Set(vinSources.flatMap(source => source.getRecallNumbers(result)));
+      recallNumbers.forEach(recallNumber => {
+        if (!recallToVinsMap.has(recallNumber)) {
+          recallToVinsMap.set(recallNumber, []);
         }
-      }
+        recallToVinsMap.get(recallNumber).push(result);
+      });
+    }
+    const uniqueRecallNumbers = Array.from(recallToVinsMap.keys());
+    const totalRecallsBeforeDedup = Array.from(recallToVinsMap.values()).reduce((sum, vins) => sum + vins.length, 0);
+    if (uniqueRecallNumbers.length > 0) {
+      console.log(`\n📊 Total recall/satisfaction numbers found: ${totalRecallsBeforeDedup}`);
+      console.log(`✅ Unique recall/satisfaction numbers to look up: ${uniqueRecallNumbers.length}`);
+      console.log(`⚡ Efficiency improvement: ${totalRecallsBeforeDedup - uniqueRecallNumbers.length} duplicate lookups avoided`);
+    }
 
-      results.push(vinResult);
+    // PHASE 2: Recall-keyed sources, each recall number looked up once and applied to every VIN that has it
+    for (const [index, source] of recallSources.entries()) {
+      // Recall numbers looked up before a restart keep their stored result (job.<name>Results)
+      const resultsField = `${source.name}Results`;
+      const storedResults = (job && job[resultsField]) || {};
+      const recallResults = new Map(uniqueRecallNumbers
+        .filter(recallNumber => storedResults[recallNumber])
+        .map(recallNumber => [recallNumber, storedResults[recallNumber]]));
+      if (recallResults.size > 0) {
+        console.log(`🔄 ${recallResults.size} recall number(s) already have ${source.label} results from before the restart`);
+      }
 
-      // Restart browser every BATCH_SIZE VINs to prevent memory issues and crashes
-      if ((i + 1) % BATCH_SIZE === 0 && i < vinNumbers.length - 1 && fordInitialized) {
-        console.log(`\n⚠️ Restarting browser after ${i + 1} VINs to maintain stability...`);
-        await fordScraper.close();
-        const reinitialized = await fordScraper.initialize();
-        if (!reinitialized) {
-          console.error('❌ Failed to restart browser. Continuing with existing instance...');
-        } else {
-          console.log('✅ Browser restarted successfully');
+      await runSourceLookups(source, uniqueRecallNumbers.filter(recallNumber => !recallResults.has(recallNumber)), run, {
+        live: isLive(source),
+        total: uniqueRecallNumbers.length,
+        progressRange: splitProgressRange(60, 90, index, recallSources.length),
+        onResult: (recallNumber, result) => {
+          recallResults.set(recallNumber, result);
+          if (job) jobStore.recordRecallResult(job, resultsField, recallNumber, result);
         }
-      }
+      });
 
-      // Add delay between VINs to be respectful to Ford website
-      if (i < vinNumbers.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 3000));
+      recallResults.forEach((result, recallNumber) => {
+        recallToVinsMap.get(recallNumber).forEach(vinResult => source.merge(vinResult, recallNumber, result));
+      });
+      if (recallResults.size > 0) {
+        console.log(`✅ Mapped ${source.label} results for ${recallResults.size} recall number(s) to their VINs`);
       }
     }
-
-    // Close Ford scraper after completing all VINs
-    if (fordInitialized) {
-      console.log('\n=== FORD SCRAPING COMPLETE ===');
-      await fordScraper.close();
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      console.log('🛑 Scraping cancelled - closing browsers...');
+    } else if (error instanceof SiteChangedError) {
+      console.log('🚨 Scraping stopped early by the circuit breaker - closing browsers...');
+    } else {
+      console.error('Error during scraping process:', error);
     }
+    throw error;
+  }
 
-    // PHASE 2: Initialize and authenticate DocSearch scraper
-    console.log('\n=== PHASE 2: DOCSEARCH SCRAPING ===');
-    console.log('Initializing DocSearch scraper...');
-    if (sessionId) emitProgress(sessionId, { type: 'progress', message: 'Initializing DocSearch...', progress: 60 });
-    const docsearchInitialized = await docsearchScraper.initialize();
+  return results;
+}
 
-    if (!docsearchInitialized) {
-      console.warn('DocSearch scraper initialization failed');
-    }
+// The share of [start, end] progress for the index-th of `count` sources
+function splitProgressRange(start, end, index, count) {
+  const step = (end - start) / count;
+  return [Math.round(start + step * index), Math.round(start + step * (index + 1))];
+}
 
-    // Authenticate with DocSearch
-    let docsearchAuthenticated = false;
-    if (docsearchInitialized) {
-      const checkSignedIn = await docsearchScraper.checkIfAlreadySignedIn();
-      
-      if (checkSignedIn) {
-        console.log('✅ User is already signed into DocSearch');
-        docsearchAuthenticated = true;
-      } else {
-        console.log('⚠️ User is not signed into DocSearch');
-        console.log('📝 ACTION REQUIRED: Please sign in to DocSearch manually in the browser window that opened');
-        if (sessionId) emitProgress(sessionId, { type: 'progress', message: 'Waiting for manual DocSearch sign-in...', progress: 65 });
-        
-        // Wait for manual sign-in
-        docsearchAuthenticated = await docsearchScraper.authenticate();
-        if (!docsearchAuthenticated) {
-          console.warn('❌ DocSearch authentication failed');
-          if (sessionId) emitProgress(sessionId, { type: 'error', message: 'DocSearch sign-in required. Please sign in and try again.' });
-        } else {
-          console.log('✅ DocSearch authentication successful');
-          if (sessionId) emitProgress(sessionId, { type: 'progress', message: 'Scraping DocSearch data...', progress: 70 });
-        }
-      }
+// Look up keys (VINs or recall numbers) with one source: fresh cached results first, then live lookups
+// spread over the source's workers. Keys left without a result are recorded as failures, except for
+// recall-keyed sources the run skips (those recalls are simply not looked up).
+async function runSourceLookups(source, keys, run, options) {
+  const { live, total, onResult } = options;
+  const [startProgress, endProgress] = options.progressRange;
+  const noun = source.keyedBy === 'vin' ? 'VIN(s)' : 'recall number(s)';
+  const job = run.job;
+
+  const cacheStats = (job && job[`${source.name}Cache`]) || { hits: 0, misses: 0 };
+  if (job) {
+    job[`${source.name}Cache`] = cacheStats;
+    jobStore.update(job, { phase: source.name });
+  }
+  run.progressPercent = startProgress;
+
+  // Fresh results from earlier runs (ignored when the run forces a refresh, unless it skips this source)
+  const pendingKeys = [];
+  let cachedCount = 0;
+  keys.forEach(key => {
+    const cached = run.forceRefresh && live ? null : source.getCached(key);
+    if (!cached) {
+      pendingKeys.push(key);
+      return;
     }
+    cacheStats.hits++;
+    cachedCount++;
+    onResult(key, cached.value, cached.cachedAt);
+  });
+  if (cachedCount > 0) {
+    console.log(`💾 ${cachedCount}/${keys.length} ${noun} have fresh cached ${source.label} results`);
+  }
 
-    // PHASE 3: Process only VINs with Ford recall numbers through DocSearch scraper
-    if (docsearchAuthenticated) {
-      // STEP 1: Collect all unique recall/satisfaction numbers across all VINs
-      const uniqueRecallNumbers = new Set();
-      const recallToVinsMap = new Map(); // Map recall number to array of VINs that have it
-      
-      // Initialize docsearchDataByRecall map for each result
-      for (const result of results) {
-        if (result.fordData && 
-            result.fordData.success && 
-            result.fordData.recallData && 
-            result.fordData.recallData.recalls) {
-          
-          result.docsearchDataByRecall = new Map();
-          
-          // Get all valid recall numbers for this VIN
-          const validRecalls = result.fordData.recallData.recalls.filter(recall => 
-            recall.recallNumber && 
-            recall.recallNumber !== 'No recall information' && 
-            recall.recallNumber !== 'No recall information available'
-          );
-          
-          // Track which VINs have which recall numbers
-          for (const recall of validRecalls) {
-            const recallNum = recall.recallNumber;
-            uniqueRecallNumbers.add(recallNum);
-            
-            if (!recallToVinsMap.has(recallNum)) {
-              recallToVinsMap.set(recallNum, []);
-            }
-            recallToVinsMap.get(recallNum).push({
-              vin: result.vin,
-              result: result
-            });
-          }
-        }
-      }
+  const lookedUp = new Set();
+  let leftoverError = null;
 
-      // STEP 2: Convert Set to Array for iteration
-      const uniqueRecallsArray = Array.from(uniqueRecallNumbers);
-      const totalRecallsBeforeDedup = Array.from(recallToVinsMap.values()).reduce((sum, vins) => sum + vins.length, 0);
-      
-      console.log(`\n=== PHASE 3: DOCSEARCH SCRAPING ===`);
-      console.log(`📊 Total recall/satisfaction numbers found: ${totalRecallsBeforeDedup}`);
-      console.log(`✅ Unique recall/satisfaction numbers to search: ${uniqueRecallsArray.length}`);
-      console.log(`⚡ Efficiency improvement: ${totalRecallsBeforeDedup - uniqueRecallsArray.length} duplicate searches avoided`);
-      
-      if (sessionId) emitProgress(sessionId, { type: 'progress', message: 'Scraping DocSearch data...', progress: 75 });
-      
-      // STEP 3: Search each unique recall number once and store results
-      const recallToDocsearchDataMap = new Map(); // Map recall number to DocSearch result
-      const DOCSEARCH_BATCH_SIZE = 100; // Restart browser every 100 requests
-      const DOCSEARCH_REQUEST_TIMEOUT = 60000; // 60 second timeout per request
-      
-      for (let i = 0; i < uniqueRecallsArray.length; i++) {
-        const recallNumber = uniqueRecallsArray[i];
-        const progressPercent = 75 + Math.floor((i / uniqueRecallsArray.length) * 15); // 75-90% progress
-        const vinsWithThisRecall = recallToVinsMap.get(recallNumber);
-        
-        console.log(`\nDocSearch scraping ${i + 1}/${uniqueRecallsArray.length}: Recall ${recallNumber} (affects ${vinsWithThisRecall.length} VIN(s))`);
-        
-        if (sessionId) {
-          emitProgress(sessionId, { 
-            type: 'progress', 
-            message: `Scraping DocSearch data... (${i + 1}/${uniqueRecallsArray.length})`, 
-            progress: progressPercent 
-          });
-        }
+  if (pendingKeys.length > 0 && !live) {
+    console.log(`⏭️ ${source.label} is skipped in this run - ${pendingKeys.length} ${noun} without a cached result will not be looked up`);
+    if (source.keyedBy === 'vin') {
+      leftoverError = `No cached ${source.label} result (${RUN_SOURCES[(job && job.sources) || 'all']} run)`;
+    }
+  } else if (pendingKeys.length > 0) {
+    console.log(`\n=== ${source.label.toUpperCase()} LOOKUPS (${pendingKeys.length} ${noun}) ===`);
+    run.progress({ type: 'progress', message: `Initializing ${source.label}...` });
 
-        try {
-          // Pass the recall number to DocSearch with timeout
-          const scrapingPromise = docsearchScraper.searchVinData(recallNumber);
-          const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Request timeout after 60 seconds')), DOCSEARCH_REQUEST_TIMEOUT)
-          );
-          
-          const docsearchData = await Promise.race([scrapingPromise, timeoutPromise]);
-          
-          // Store DocSearch data for this recall number
-          recallToDocsearchDataMap.set(recallNumber, docsearchData);
-          
-          console.log(`✅ DocSearch data scraped for Recall ${recallNumber} (EA Exists: ${docsearchData.eaExists}, EA Number: ${docsearchData.eaNumber || 'NONE'})`);
-          console.log(`   → This result will be applied to ${vinsWithThisRecall.length} VIN(s)`);
-        } catch (error) {
-          console.error(`❌ Error scraping DocSearch data for Recall ${recallNumber}:`, error.message);
-          recallToDocsearchDataMap.set(recallNumber, {
-            recallNumber: recallNumber,
-            success: false,
-            error: error.message,
-            eaExists: false,
-            eaNumber: null
+    let session = null;
+    try {
+      session = await source.initialize(run, pendingKeys);
+      const workerCount = session.workers || 1;
+      let startedCount = total - pendingKeys.length;
+      let nextIndex = 0;
+      let stopReason = null;
+
+      // Each worker pulls the next pending key until none are left
+      const runWorker = async (worker) => {
+        while (!stopReason && nextIndex < pendingKeys.length) {
+          source.check(session);
+          const key = pendingKeys[nextIndex++];
+
+          // Wait here while paused; throws if the job was cancelled
+          await run.control.checkpoint();
+
+          startedCount++;
+          cacheStats.misses++;
+          run.progressPercent = startProgress + Math.floor(((startedCount - 1) / total) * (endProgress - startProgress));
+          console.log(`\n${source.label} lookup ${startedCount}/${total}${workerCount > 1 ? ` [worker ${worker + 1}]` : ''}: ${key}`);
+          run.progress({
+            type: 'progress',
+            message: `Scraping ${source.label} data... (${startedCount}/${total}${cacheStats.hits > 0 ? `, ${cacheStats.hits} from cache` : ''})`,
+            cache: { ...cacheStats }
           });
-        }
 
-        // Restart browser every BATCH_SIZE requests to prevent memory issues
-        if ((i + 1) % DOCSEARCH_BATCH_SIZE === 0 && i < uniqueRecallsArray.length - 1 && docsearchInitialized) {
-          console.log(`\n⚠️ Restarting DocSearch browser after ${i + 1} requests to maintain stability...`);
-          await docsearchScraper.close();
-          const reinitialized = await docsearchScraper.initialize();
-          if (!reinitialized) {
-            console.error('❌ Failed to restart DocSearch browser. Continuing with existing instance...');
-          } else {
-            console.log('✅ DocSearch browser restarted successfully');
-            // Re-authenticate if needed
-            const checkSignedIn = await docsearchScraper.checkIfAlreadySignedIn();
-            if (!checkSignedIn) {
-              console.log('⚠️ DocSearch session expired. Please sign in again.');
-              if (sessionId) emitProgress(sessionId, { type: 'error', message: 'DocSearch session expired. Please sign in and try again.' });
-              break; // Stop processing if authentication is lost
+          let result;
+          try {
+            result = await source.lookup(session, key, worker);
+          } catch (error) {
+            if (error instanceof SourceUnavailableError) {
+              stopReason = error.message;
             }
+            throw error;
           }
-        }
+          lookedUp.add(key);
+          onResult(key, result);
+          source.cacheResult(key, result);
 
-        // Add delay between requests to be respectful to DocSearch website
-        if (i < uniqueRecallsArray.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 3000));
+          if (!source.isWorkerAvailable(session, worker)) {
+            console.error(`❌ ${source.label} worker ${worker + 1} is no longer available. Stopping this worker...`);
+            return;
+          }
         }
+      };
+
+      // Wait for every worker before moving on (so none is still using the browser when it closes)
+      const workerOutcomes = await Promise.allSettled(Array.from({ length: workerCount }, (_, worker) => runWorker(worker)));
+      const failedWorker = workerOutcomes.find(outcome => outcome.status === 'rejected');
+      if (failedWorker) {
+        throw failedWorker.reason;
       }
 
-      // STEP 4: Map DocSearch results back to each VIN's recall data
-      console.log(`\n=== MAPPING DOCSEARCH RESULTS TO VINS ===`);
-      for (const [recallNumber, vins] of recallToVinsMap.entries()) {
-        const docsearchData = recallToDocsearchDataMap.get(recallNumber);
-        
-        if (docsearchData) {
-          // Assign the DocSearch data to all VINs that have this recall number
-          for (const { vin, result } of vins) {
-            result.docsearchDataByRecall.set(recallNumber, docsearchData);
-          }
-          console.log(`✅ Mapped DocSearch data for Recall ${recallNumber} to ${vins.length} VIN(s)`);
-        } else {
-          // If no DocSearch data (error case), assign error result to all VINs
-          const errorData = {
-            recallNumber: recallNumber,
-            success: false,
-            error: 'DocSearch data not available',
-            eaExists: false,
-            eaNumber: null
-          };
-          for (const { vin, result } of vins) {
-            result.docsearchDataByRecall.set(recallNumber, errorData);
-          }
-          console.log(`⚠️ No DocSearch data available for Recall ${recallNumber} (affects ${vins.length} VIN(s))`);
+      // The source may want to stop the run because of the very last lookups
+      source.check(session);
+      leftoverError = `No ${source.label} worker available`;
+    } catch (error) {
+      if (!(error instanceof SourceUnavailableError)) {
+        throw error;
+      }
+      console.warn(`❌ ${source.label} unavailable: ${error.message}`);
+      run.progress({ type: 'error', message: error.message });
+      leftoverError = error.message;
+    } finally {
+      if (session) {
+        try {
+          await source.close(session);
+        } catch (error) {
+          console.error(`Error closing ${source.label}:`, error);
         }
       }
     }
+  }
 
-    // Close DocSearch scraper
-    if (docsearchInitialized) {
-      console.log('\n=== DOCSEARCH SCRAPING COMPLETE ===');
-      await docsearchScraper.close();
-    }
+  // Keys no worker could look up (source unavailable, every worker lost, or skipped in this run)
+  if (leftoverError) {
+    pendingKeys.filter(key => !lookedUp.has(key)).forEach(key => {
+      cacheStats.misses++;
+      onResult(key, source.failure(key, leftoverError));
+    });
+  }
 
-  } catch (error) {
-    console.error('Error during scraping process:', error);
-    throw error;
-  } finally {
-    // Clean up scrapers
-    try {
-      await fordScraper.close();
-      await docsearchScraper.close();
-    } catch (error) {
-      console.error('Error closing scrapers:', error);
+  console.log(`💾 ${source.label} cache: ${cacheStats.hits} hit(s), ${cacheStats.misses} miss(es)`);
+  run.progressPercent = endProgress;
+  run.progress({
+    type: 'progress',
+    message: `${source.label} lookups done: ${cacheStats.hits} from cache, ${live ? `${cacheStats.misses} looked up` : `${pendingKeys.length} without a cached result`}`,
+    cache: { ...cacheStats }
+  });
+}
+
+// Value of an input column, trying alternate header names and then case/whitespace-insensitive matches
+function getColumnValue(row, primaryKey, ...alternateKeys) {
+  if (!row) return '';
+  
+  // Normalize function to trim and uppercase for comparison
+  const normalize = (str) => str ? str.toString().trim().toUpperCase().replace(/\s+/g, ' ') : '';
+  
+  const normalizedPrimary = normalize(primaryKey);
+  const normalizedAlternates = alternateKeys.map(k => normalize(k));
+  
+  // Try primary key first (exact match)
+  if (row[primaryKey]) return row[primaryKey];
+  
+  // Try alternate keys (exact match)
+  for (const key of alternateKeys) {
+    if (row[key]) return row[key];
+  }
+  
+  // Try case-insensitive and whitespace-tolerant match
+  for (const [key, value] of Object.entries(row)) {
+    const normalizedKey = normalize(key);
+    
+    // Check against primary key
+    if (normalizedKey === normalizedPrimary) {
+      return value;
+    }
+    
+    // Check against alternate keys
+    for (const normalizedAlt of normalizedAlternates) {
+      if (normalizedKey === normalizedAlt) {
+        return value;
+      }
     }
   }
+  
+  return '';
+}
 
-  return results;
+// Station of an input row as the workbook's STATION column shows it ('(No station)' when blank)
+function getStation(row) {
+  return String(getColumnValue(row, 'STATION', 'LOC ASSIGN PM LOC', 'LOC', 'PM LOC', 'LOCATION') || '').trim() || NO_STATION;
 }
 
 // Function to create output Excel file
-async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
+async function createOutputExcel(scrapedData, outputPath, invalidVINs = [], runSummary = []) {
   try {
     const workbook = XLSX.utils.book_new();
     
@@ -1222,7 +2439,7 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
       // Debug: Log Ford data status
       if (!item.fordData) {
         console.log(`   VIN ${item.vin}: No Ford data`);
-      } else if (!item.fordData.success) {
+      } else if (item.fordData.success === false) {
         console.log(`   VIN ${item.vin}: Ford scraping failed - ${item.fordData.error || 'Unknown error'}`);
       } else if (!item.fordData.recallData) {
         console.log(`   VIN ${item.vin}: No recallData in Ford response`);
@@ -1256,44 +2473,6 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
 
       // Only include VINs that have recall numbers
       if (hasRecalls) {
-        // Helper function to safely get column value with fallback variations
-        const getColumnValue = (row, primaryKey, ...alternateKeys) => {
-          if (!row) return '';
-          
-          // Normalize function to trim and uppercase for comparison
-          const normalize = (str) => str ? str.toString().trim().toUpperCase().replace(/\s+/g, ' ') : '';
-          
-          const normalizedPrimary = normalize(primaryKey);
-          const normalizedAlternates = alternateKeys.map(k => normalize(k));
-          
-          // Try primary key first (exact match)
-          if (row[primaryKey]) return row[primaryKey];
-          
-          // Try alternate keys (exact match)
-          for (const key of alternateKeys) {
-            if (row[key]) return row[key];
-          }
-          
-          // Try case-insensitive and whitespace-tolerant match
-          for (const [key, value] of Object.entries(row)) {
-            const normalizedKey = normalize(key);
-            
-            // Check against primary key
-            if (normalizedKey === normalizedPrimary) {
-              return value;
-            }
-            
-            // Check against alternate keys
-            for (const normalizedAlt of normalizedAlternates) {
-              if (normalizedKey === normalizedAlt) {
-                return value;
-              }
-            }
-          }
-          
-          return '';
-        };
-        
         // Helper function to format date values (handles Excel serial numbers and date strings)
         const formatDate = (dateValue) => {
           if (!dateValue) return '';
@@ -1365,11 +2544,12 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
             // Get recall type (Recall or Satisfaction), default to "Recall" if not specified
             const recallType = recall.type || 'Recall';
 
+            const vehicle = describeVehicle(item.vin, item.originalRow, getColumnValue);
             const row = {
               'ASSET NO': getColumnValue(item.originalRow, 'ASSET NO', 'EQ EQUIP NO', 'EQ EQUIPMENT NO', 'EQUIPMENT NO', 'EQUIP NO'),
-              'YEAR': getColumnValue(item.originalRow, 'YEAR'),
-              'MODEL': getColumnValue(item.originalRow, 'MODEL'),
-              'MANUFACTURER': getColumnValue(item.originalRow, 'MANUFACTURER', 'MAKE'),
+              'YEAR': vehicle['YEAR'],
+              'MODEL': vehicle['MODEL'],
+              'MANUFACTURER': vehicle['MANUFACTURER'],
               'STATION': getColumnValue(item.originalRow, 'STATION', 'LOC ASSIGN PM LOC', 'LOC', 'PM LOC', 'LOCATION'),
               'VIN': item.vin,
               'Ford Recall Number': recall.recallNumber,
@@ -1379,7 +2559,8 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
               'WORK ORDER STATUS': (() => {
                 const status = getColumnValue(item.originalRow, 'WORK ORDER STATUS', 'WO STATUS', 'WO Status', 'Work Order Status', 'WORK ORDER STAT', 'WO STAT', 'WorkOrderStatus', 'WORKORDERSTATUS', 'WOStatus', 'WOSTATUS');
                 return status && status.toString().trim() !== '' ? status : 'NONE';
-              })()
+              })(),
+              'VIN Mismatch': vehicle['VIN Mismatch']
             };
 
             excelData.push(row);
@@ -1457,7 +2638,8 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
           'STATION': vehicle['STATION'],
           'VIN': vehicle['VIN'],
           'Work Order': vehicle['Work Order'],
-          'WORK ORDER STATUS': vehicle['WORK ORDER STATUS']
+          'WORK ORDER STATUS': vehicle['WORK ORDER STATUS'],
+          'VIN Mismatch': vehicle['VIN Mismatch']
         };
         groupedData.push(groupedRow);
       }
@@ -1478,7 +2660,8 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
           'STATION': vehicle['STATION'],
           'VIN': vehicle['VIN'],
           'Work Order': vehicle['Work Order'],
-          'WORK ORDER STATUS': vehicle['WORK ORDER STATUS']
+          'WORK ORDER STATUS': vehicle['WORK ORDER STATUS'],
+          'VIN Mismatch': vehicle['VIN Mismatch']
         };
         groupedData.push(groupedRow);
       }
@@ -1503,7 +2686,8 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         { wch: 20 }, // STATION
         { wch: 20 }, // VIN
         { wch: 18 }, // Work Order
-        { wch: 20 }  // WORK ORDER STATUS
+        { wch: 20 }, // WORK ORDER STATUS
+        { wch: 40 }  // VIN Mismatch
       ];
       groupedWorksheet['!cols'] = groupedColumnWidths;
       
@@ -1599,11 +2783,12 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         'STATION': '',
         'VIN': '',
         'Work Order': '',
-        'WORK ORDER STATUS': ''
+        'WORK ORDER STATUS': '',
+        'VIN Mismatch': ''
       }]);
       const groupedColumnWidths = [
         { wch: 25 }, { wch: 12 }, { wch: 25 }, { wch: 18 }, { wch: 8 },
-        { wch: 15 }, { wch: 15 }, { wch: 20 }, { wch: 20 }, { wch: 18 }, { wch: 20 }
+        { wch: 15 }, { wch: 15 }, { wch: 20 }, { wch: 20 }, { wch: 18 }, { wch: 20 }, { wch: 40 }
       ];
       groupedWorksheet['!cols'] = groupedColumnWidths;
     }
@@ -1626,7 +2811,8 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         { wch: 12 }, // Type
         { wch: 25 }, // EA Number
         { wch: 18 }, // Work Order
-        { wch: 20 }  // WORK ORDER STATUS
+        { wch: 20 }, // WORK ORDER STATUS
+        { wch: 40 }  // VIN Mismatch
       ];
       worksheet['!cols'] = columnWidths;
     } else {
@@ -1642,11 +2828,12 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         'Type': '',
         'EA Number': '',
         'Work Order': '',
-        'WORK ORDER STATUS': ''
+        'WORK ORDER STATUS': '',
+        'VIN Mismatch': ''
       }]);
       const columnWidths = [
         { wch: 18 }, { wch: 8 }, { wch: 15 }, { wch: 15 }, { wch: 20 },
-        { wch: 20 }, { wch: 25 }, { wch: 12 }, { wch: 25 }, { wch: 18 }, { wch: 20 }
+        { wch: 20 }, { wch: 25 }, { wch: 12 }, { wch: 25 }, { wch: 18 }, { wch: 20 }, { wch: 40 }
       ];
       worksheet['!cols'] = columnWidths;
     }
@@ -1824,7 +3011,7 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         ];
       }
       
-      return { worksheet, count: needsEAGroups.size, total: grandTotal };
+      return { worksheet, count: needsEAGroups.size, total: grandTotal, vehicles: Array.from(needsEAGroups.values()).flat() };
     };
     
     // SHEET 3: Needs EA (Recalls)
@@ -2012,69 +3199,37 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
     }
 
     // SHEET 6: Invalid VINs - Rows with invalid VIN values
-    // Helper function to safely get column value with fallback variations (same as used in Recall Data)
-    const getColumnValueForInvalid = (row, primaryKey, ...alternateKeys) => {
-      if (!row) return '';
-      
-      // Normalize function to trim and uppercase for comparison
-      const normalize = (str) => str ? str.toString().trim().toUpperCase().replace(/\s+/g, ' ') : '';
-      
-      const normalizedPrimary = normalize(primaryKey);
-      const normalizedAlternates = alternateKeys.map(k => normalize(k));
-      
-      // Try primary key first (exact match)
-      if (row[primaryKey]) return row[primaryKey];
-      
-      // Try alternate keys (exact match)
-      for (const key of alternateKeys) {
-        if (row[key]) return row[key];
-      }
-      
-      // Try case-insensitive and whitespace-tolerant match
-      for (const [key, value] of Object.entries(row)) {
-        const normalizedKey = normalize(key);
-        
-        // Check against primary key
-        if (normalizedKey === normalizedPrimary) {
-          return value;
-        }
-        
-        // Check against alternate keys
-        for (const normalizedAlt of normalizedAlternates) {
-          if (normalizedKey === normalizedAlt) {
-            return value;
-          }
-        }
-      }
-      
-      return '';
-    };
-    
     // Build Invalid VINs data with only the specified columns
     const invalidVINsData = invalidVINs.map(row => {
       // Extract the metadata columns first
       const invalidVINValue = row['Invalid VIN Value'] || '';
       const reason = row['Reason'] || '';
+      const reasonCode = row['Reason Code'] || '';
+      const suggestedCorrections = row['Suggested Corrections'] || '';
       
-      // Create a copy of the row without the metadata columns for getColumnValueForInvalid
+      // Create a copy of the row without the metadata columns for getColumnValue
       const originalRow = { ...row };
       delete originalRow['Invalid VIN Value'];
       delete originalRow['VIN Column'];
       delete originalRow['Reason'];
+      delete originalRow['Reason Code'];
+      delete originalRow['Suggested Corrections'];
       
       return {
-        'ASSET NO': getColumnValueForInvalid(originalRow, 'ASSET NO', 'EQ EQUIP NO', 'EQ EQUIPMENT NO', 'EQUIPMENT NO', 'EQUIP NO'),
-        'YEAR': getColumnValueForInvalid(originalRow, 'YEAR'),
-        'MODEL': getColumnValueForInvalid(originalRow, 'MODEL'),
-        'MANUFACTURER': getColumnValueForInvalid(originalRow, 'MANUFACTURER', 'MAKE'),
-        'STATION': getColumnValueForInvalid(originalRow, 'STATION', 'LOC ASSIGN PM LOC', 'LOC', 'PM LOC', 'LOCATION'),
+        'ASSET NO': getColumnValue(originalRow, 'ASSET NO', 'EQ EQUIP NO', 'EQ EQUIPMENT NO', 'EQUIPMENT NO', 'EQUIP NO'),
+        'YEAR': getColumnValue(originalRow, 'YEAR'),
+        'MODEL': getColumnValue(originalRow, 'MODEL'),
+        'MANUFACTURER': getColumnValue(originalRow, 'MANUFACTURER', 'MAKE'),
+        'STATION': getColumnValue(originalRow, 'STATION', 'LOC ASSIGN PM LOC', 'LOC', 'PM LOC', 'LOCATION'),
         'VIN': invalidVINValue, // Use the invalid VIN value
-        'Work Order': getColumnValueForInvalid(originalRow, 'Work Order', 'WORK ORDER', 'WO', 'WORK ORDER NO', 'WORK ORDER NUMBER', 'WO NUMBER', 'WorkOrder', 'WORKORDER'),
+        'Work Order': getColumnValue(originalRow, 'Work Order', 'WORK ORDER', 'WO', 'WORK ORDER NO', 'WORK ORDER NUMBER', 'WO NUMBER', 'WorkOrder', 'WORKORDER'),
         'WORK ORDER STATUS': (() => {
-          const status = getColumnValueForInvalid(originalRow, 'WORK ORDER STATUS', 'WO STATUS', 'WO Status', 'Work Order Status', 'WORK ORDER STAT', 'WO STAT', 'WorkOrderStatus', 'WORKORDERSTATUS', 'WOStatus', 'WOSTATUS');
+          const status = getColumnValue(originalRow, 'WORK ORDER STATUS', 'WO STATUS', 'WO Status', 'Work Order Status', 'WORK ORDER STAT', 'WO STAT', 'WorkOrderStatus', 'WORKORDERSTATUS', 'WOStatus', 'WOSTATUS');
           return status && status.toString().trim() !== '' ? status : 'NONE';
         })(),
-        'Reason': reason
+        'Reason': reason,
+        'Reason Code': reasonCode,
+        'Suggested Corrections': suggestedCorrections
       };
     });
     
@@ -2090,7 +3245,9 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         { wch: 20 }, // VIN
         { wch: 18 }, // Work Order
         { wch: 20 }, // WORK ORDER STATUS
-        { wch: 40 }  // Reason
+        { wch: 40 }, // Reason
+        { wch: 18 }, // Reason Code
+        { wch: 40 }  // Suggested Corrections
       ];
     } else {
       // Create empty worksheet with headers
@@ -2103,7 +3260,9 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         'VIN': '',
         'Work Order': '',
         'WORK ORDER STATUS': '',
-        'Reason': ''
+        'Reason': '',
+        'Reason Code': '',
+        'Suggested Corrections': ''
       }]);
       invalidVINsWorksheet['!cols'] = [
         { wch: 18 }, // ASSET NO
@@ -2114,10 +3273,206 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
         { wch: 20 }, // VIN
         { wch: 18 }, // Work Order
         { wch: 20 }, // WORK ORDER STATUS
-        { wch: 40 }  // Reason
+        { wch: 40 }, // Reason
+        { wch: 18 }, // Reason Code
+        { wch: 40 }  // Suggested Corrections
       ];
     }
 
+    // SHEET 7: Scrape Errors - every VIN whose Ford lookup or DocSearch lookup failed
+    // (these would otherwise look the same as VINs without recalls, which are left out of the sheets above;
+    // VINs of unsupported makes were never looked up and have their own sheet)
+    const scrapeErrorsData = [];
+    const isValidRecallNumber = (recallNumber) => recallNumber &&
+      typeof recallNumber === 'string' &&
+      recallNumber.trim() !== '' &&
+      recallNumber !== 'No recall information' &&
+      recallNumber !== 'No recall information available';
+    
+    scrapedData.forEach(item => {
+      const errorRow = (step, recallNumber, error, attempts, timestamp) => ({
+        'ASSET NO': getColumnValue(item.originalRow, 'ASSET NO', 'EQ EQUIP NO', 'EQ EQUIPMENT NO', 'EQUIPMENT NO', 'EQUIP NO'),
+        'STATION': getColumnValue(item.originalRow, 'STATION', 'LOC ASSIGN PM LOC', 'LOC', 'PM LOC', 'LOCATION'),
+        'VIN': item.vin,
+        'Step': step,
+        'Recall Number': recallNumber,
+        'Error': error,
+        'Attempts': attempts,
+        'Timestamp': timestamp || item.processedAt || ''
+      });
+      
+      if (item.unsupportedMake) {
+        return;
+      }
+      if (!item.fordData || item.fordData.success === false) {
+        scrapeErrorsData.push(errorRow(
+          'Ford',
+          '',
+          (item.fordData && item.fordData.error) || 'Ford lookup was not performed (scraper unavailable)',
+          item.fordData ? (item.fordData.attempts !== undefined ? item.fordData.attempts : 1) : 0,
+          item.fordData && item.fordData.scrapedAt
+        ));
+        return;
+      }
+      
+      // DocSearch failures are per recall number, so a VIN can appear once per failed recall
+      const recalls = (item.fordData.recallData && Array.isArray(item.fordData.recallData.recalls)) ? item.fordData.recallData.recalls : [];
+      const docsearchDataByRecall = item.docsearchDataByRecall || {};
+      const seenRecallNumbers = new Set();
+      recalls.forEach(recall => {
+        if (!recall || !isValidRecallNumber(recall.recallNumber) || seenRecallNumbers.has(recall.recallNumber)) return;
+        seenRecallNumbers.add(recall.recallNumber);
+        
+        // No result means DocSearch was skipped in this run (e.g. Ford only) - not a failure. A failed sign-in
+        // records a failed result for every recall number, so those still show up here.
+        const docsearchData = docsearchDataByRecall[recall.recallNumber];
+        if (docsearchData && docsearchData.success === false) {
+          scrapeErrorsData.push(errorRow(
+            'DocSearch',
+            recall.recallNumber,
+            docsearchData.error || 'Unknown error',
+            docsearchData.attempts !== undefined ? docsearchData.attempts : 1,
+            docsearchData.scrapedAt
+          ));
+        }
+      });
+    });
+    
+    const scrapeErrorsColumns = [
+      { wch: 18 }, // ASSET NO
+      { wch: 20 }, // STATION
+      { wch: 20 }, // VIN
+      { wch: 12 }, // Step
+      { wch: 15 }, // Recall Number
+      { wch: 60 }, // Error
+      { wch: 10 }, // Attempts
+      { wch: 25 }  // Timestamp
+    ];
+    let scrapeErrorsWorksheet;
+    if (scrapeErrorsData.length > 0) {
+      scrapeErrorsWorksheet = XLSX.utils.json_to_sheet(scrapeErrorsData);
+    } else {
+      // Create empty worksheet with headers
+      scrapeErrorsWorksheet = XLSX.utils.json_to_sheet([{
+        'ASSET NO': '',
+        'STATION': '',
+        'VIN': '',
+        'Step': '',
+        'Recall Number': '',
+        'Error': '',
+        'Attempts': '',
+        'Timestamp': ''
+      }]);
+    }
+    scrapeErrorsWorksheet['!cols'] = scrapeErrorsColumns;
+
+    // SHEET 8: Clean Vehicles - VINs Ford checked successfully that have no recall/satisfaction campaigns
+    // (positive proof for audits that the vehicle was checked)
+    const cleanVehiclesData = scrapedData
+      .filter(item => {
+        if (!item.fordData || item.fordData.success === false) return false;
+        const recalls = (item.fordData.recallData && Array.isArray(item.fordData.recallData.recalls)) ? item.fordData.recallData.recalls : [];
+        return !recalls.some(recall => recall && isValidRecallNumber(recall.recallNumber));
+      })
+      .map(item => {
+        const vehicle = describeVehicle(item.vin, item.originalRow, getColumnValue);
+        return {
+          'ASSET NO': getColumnValue(item.originalRow, 'ASSET NO', 'EQ EQUIP NO', 'EQ EQUIPMENT NO', 'EQUIPMENT NO', 'EQUIP NO'),
+          'YEAR': vehicle['YEAR'],
+          'MODEL': vehicle['MODEL'],
+          'MANUFACTURER': vehicle['MANUFACTURER'],
+          'STATION': getColumnValue(item.originalRow, 'STATION', 'LOC ASSIGN PM LOC', 'LOC', 'PM LOC', 'LOCATION'),
+          'VIN': item.vin,
+          'Result': 'No open recalls or satisfaction programs',
+          'Checked At': item.fordData.scrapedAt || item.processedAt || '',
+          'VIN Mismatch': vehicle['VIN Mismatch']
+        };
+      });
+    
+    let cleanVehiclesWorksheet;
+    if (cleanVehiclesData.length > 0) {
+      cleanVehiclesWorksheet = XLSX.utils.json_to_sheet(cleanVehiclesData);
+    } else {
+      // Create empty worksheet with headers
+      cleanVehiclesWorksheet = XLSX.utils.json_to_sheet([{
+        'ASSET NO': '',
+        'YEAR': '',
+        'MODEL': '',
+        'MANUFACTURER': '',
+        'STATION': '',
+        'VIN': '',
+        'Result': '',
+        'Checked At': '',
+        'VIN Mismatch': ''
+      }]);
+    }
+    cleanVehiclesWorksheet['!cols'] = [
+      { wch: 18 }, // ASSET NO
+      { wch: 8 },  // YEAR
+      { wch: 15 }, // MODEL
+      { wch: 15 }, // MANUFACTURER
+      { wch: 20 }, // STATION
+      { wch: 20 }, // VIN
+      { wch: 40 }, // Result
+      { wch: 25 }, // Checked At
+      { wch: 40 }  // VIN Mismatch
+    ];
+
+    // SHEET 9: Unsupported Makes - VINs whose WMI belongs to a make no recall source handles (not looked up)
+    const unsupportedMakesData = scrapedData
+      .filter(item => item.unsupportedMake)
+      .map(item => {
+        const vehicle = describeVehicle(item.vin, item.originalRow, getColumnValue);
+        return {
+          'ASSET NO': getColumnValue(item.originalRow, 'ASSET NO', 'EQ EQUIP NO', 'EQ EQUIPMENT NO', 'EQUIPMENT NO', 'EQUIP NO'),
+          'YEAR': vehicle['YEAR'],
+          'MODEL': vehicle['MODEL'],
+          'MANUFACTURER': vehicle['MANUFACTURER'],
+          'STATION': getColumnValue(item.originalRow, 'STATION', 'LOC ASSIGN PM LOC', 'LOC', 'PM LOC', 'LOCATION'),
+          'VIN': item.vin,
+          'WMI': item.wmi.code,
+          'Make (from VIN)': item.wmi.make || 'Unknown',
+          'Reason': describeUnsupportedMake(item.wmi),
+          'VIN Mismatch': vehicle['VIN Mismatch']
+        };
+      });
+    
+    let unsupportedMakesWorksheet;
+    if (unsupportedMakesData.length > 0) {
+      unsupportedMakesWorksheet = XLSX.utils.json_to_sheet(unsupportedMakesData);
+    } else {
+      // Create empty worksheet with headers
+      unsupportedMakesWorksheet = XLSX.utils.json_to_sheet([{
+        'ASSET NO': '',
+        'YEAR': '',
+        'MODEL': '',
+        'MANUFACTURER': '',
+        'STATION': '',
+        'VIN': '',
+        'WMI': '',
+        'Make (from VIN)': '',
+        'Reason': '',
+        'VIN Mismatch': ''
+      }]);
+    }
+    unsupportedMakesWorksheet['!cols'] = [
+      { wch: 18 }, // ASSET NO
+      { wch: 8 },  // YEAR
+      { wch: 15 }, // MODEL
+      { wch: 15 }, // MANUFACTURER
+      { wch: 20 }, // STATION
+      { wch: 20 }, // VIN
+      { wch: 6 },  // WMI
+      { wch: 22 }, // Make (from VIN)
+      { wch: 40 }, // Reason
+      { wch: 40 }  // VIN Mismatch
+    ];
+
+    // VINs with input values their VIN contradicts (a VIN with several recalls is counted once)
+    const vinMismatchCount = new Set([...excelData, ...cleanVehiclesData, ...unsupportedMakesData]
+      .filter(row => row['VIN Mismatch'])
+      .map(row => row['VIN'])).size;
+
     // Add all worksheets to workbook
     XLSX.utils.book_append_sheet(workbook, groupedWorksheet, 'Grouped by Recall');
     XLSX.utils.book_append_sheet(workbook, worksheet, 'Recall Data');
@@ -2125,6 +3480,19 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
     XLSX.utils.book_append_sheet(workbook, needsEASatisfactionWorksheet, 'Needs EA (Satisfaction)');
     XLSX.utils.book_append_sheet(workbook, needsWOWorksheet, 'Needs WO');
     XLSX.utils.book_append_sheet(workbook, invalidVINsWorksheet, 'Invalid VINs');
+    XLSX.utils.book_append_sheet(workbook, scrapeErrorsWorksheet, 'Scrape Errors');
+    XLSX.utils.book_append_sheet(workbook, cleanVehiclesWorksheet, 'Clean Vehicles');
+    XLSX.utils.book_append_sheet(workbook, unsupportedMakesWorksheet, 'Unsupported Makes');
+    
+    // Run details (cache usage etc.) for whoever reads the workbook later
+    if (runSummary.length > 0) {
+      const runSummaryWorksheet = XLSX.utils.json_to_sheet(runSummary);
+      runSummaryWorksheet['!cols'] = [
+        { wch: 30 }, // Item
+        { wch: 40 }  // Value
+      ];
+      XLSX.utils.book_append_sheet(workbook, runSummaryWorksheet, 'Run Summary');
+    }
 
     // Write file
     XLSX.writeFile(workbook, outputPath);
@@ -2134,6 +3502,10 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
     console.log(`❌ VINs without recalls skipped: ${scrapedData.length - excelData.length}`);
     console.log(`📊 Total VINs processed: ${scrapedData.length}`);
     console.log(`📋 Unique recall numbers: ${recallGroups.size}`);
+    console.log(`⚠️ Scrape errors listed: ${scrapeErrorsData.length}`);
+    console.log(`🟢 Clean vehicles listed: ${cleanVehiclesData.length}`);
+    console.log(`🚫 Unsupported makes listed: ${unsupportedMakesData.length}`);
+    console.log(`🔍 VINs whose YEAR/MODEL/MANUFACTURER contradict the VIN: ${vinMismatchCount}`);
     console.log(`📁 Output Excel file created: ${outputPath}`);
     console.log(`   - Sheet 1: "Grouped by Recall" (Ford Recall Number first, grouped by recall)`);
     console.log(`   - Sheet 2: "Recall Data" (original format)`);
@@ -2142,14 +3514,89 @@ async function createOutputExcel(scrapedData, outputPath, invalidVINs = []) {
     console.log(`   - Sheet 5: "Needs WO" (${needsWOGroups.size} recall/satisfaction numbers, ${woGrandTotal} total vehicles with EA but no Work Order)`);
     console.log(`   - Sheet 6: "Invalid VINs" (${invalidVINs.length} rows with invalid VIN values)`);
     
+    // Vehicles on each sheet per station, for the email digest
+    const byStation = {};
+    const countByStation = (rows, sheetKey) => {
+      rows.forEach(row => {
+        const station = String(row['STATION'] || '').trim() || NO_STATION;
+        byStation[station] = byStation[station] || { needsEARecalls: 0, needsEASatisfaction: 0, needsWO: 0, invalidVins: 0 };
+        byStation[station][sheetKey]++;
+      });
+    };
+    countByStation(needsEARecalls.vehicles, 'needsEARecalls');
+    countByStation(needsEASatisfaction.vehicles, 'needsEASatisfaction');
+    countByStation(Array.from(needsWOGroups.values()).flat(), 'needsWO');
+    countByStation(invalidVINsData, 'invalidVins');
+    
+    // Every row of the input per station, clean vehicles included (station digests skip stations with none)
+    const vehiclesByStation = {};
+    [...scrapedData.map(item => item.originalRow), ...invalidVINs].forEach(row => {
+      const station = getStation(row);
+      vehiclesByStation[station] = (vehiclesByStation[station] || 0) + 1;
+    });
+    
+    // Sheet counts for notifications (webhooks, email digest, run history)
+    return {
+      vinCount: scrapedData.length,
+      vinsWithRecalls: excelData.length,
+      uniqueRecallNumbers: recallGroups.size,
+      needsEARecalls: { recallNumbers: needsEARecalls.count, vehicles: needsEARecalls.total },
+      needsEASatisfaction: { recallNumbers: needsEASatisfaction.count, vehicles: needsEASatisfaction.total },
+      needsWO: { recallNumbers: needsWOGroups.size, vehicles: woGrandTotal },
+      invalidVins: invalidVINs.length,
+      scrapeErrors: scrapeErrorsData.length,
+      cleanVehicles: cleanVehiclesData.length,
+      unsupportedMakes: unsupportedMakesData.length,
+      vinMismatches: vinMismatchCount,
+      byStation,
+      vehiclesByStation
+    };
   } catch (error) {
     console.error('Error creating output Excel file:', error);
     throw error;
   }
 }
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log('Make sure to install Playwright browsers: npx playwright install');
-});
+// Start server (the CLI loads this module for its processing pipeline without starting one)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+    console.log('Make sure to install Playwright browsers: npx playwright install');
+    
+    // Expire runs that fell outside the retention policy while the server was down
+    applyRetentionPolicy();
+    
+    // Drop cached Ford/DocSearch results that are past their freshness window
+    try {
+      const prunedCount = fordCache.prune() + docsearchCache.prune();
+      if (prunedCount > 0) console.log(`💾 Removed ${prunedCount} expired cache entries`);
+    } catch (error) {
+      console.error('Error pruning caches:', error);
+    }
+    
+    // Start running scheduled scans
+    scheduler.start();
+    
+    // Start picking up files dropped into the inbox folder
+    if (inboxWatcher) {
+      inboxWatcher.start();
+    }
+    
+    // Pick up any jobs that were interrupted by a restart or crash
+    resumeInterruptedJobs().catch(error => {
+      console.error('Error resuming interrupted jobs:', error);
+    });
+  });
+}
+
+module.exports = {
+  processExcelFile,
+  scrapeVinData,
+  createOutputExcel,
+  progressHub,
+  runningJobs,
+  jobStore,
+  recordRun,
+  RUN_SOURCES,
+  waitForNotifications
+};
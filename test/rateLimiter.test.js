@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const RateLimiter = require('../lib/rateLimiter');
+const { parseQuietHours } = RateLimiter;
+
+const at = (hour, minute = 0, second = 0) => new Date(2026, 9, 18, hour, minute, second);
+
+test('parseQuietHours reads hours and hours:minutes', () => {
+    assert.deepEqual(parseQuietHours('22-6'), { start: 22 * 60, end: 6 * 60 });
+    assert.deepEqual(parseQuietHours('22:00 - 06:30'), { start: 22 * 60, end: 6 * 60 + 30 });
+    assert.deepEqual(parseQuietHours('24-2'), { start: 0, end: 120 });
+    assert.equal(parseQuietHours(''), null);
+    assert.equal(parseQuietHours('5-5'), null);
+});
+
+test('parseQuietHours ignores invalid windows', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(parseQuietHours('nights'), null);
+});
+
+test('quiet hours that cross midnight hold requests until the window ends', () => {
+    const limiter = new RateLimiter({ quietHours: '22-6' });
+    assert.equal(limiter.getQuietWaitMs(at(23, 30)), 6.5 * 60 * 60000);
+    assert.equal(limiter.getQuietWaitMs(at(5, 59, 30)), 30000);
+    assert.equal(limiter.getQuietWaitMs(at(6)), 0);
+    assert.equal(limiter.getQuietWaitMs(at(12)), 0);
+    assert.equal(limiter.getQuietWaitMs(at(22)), 8 * 60 * 60000);
+});
+
+test('quiet hours within one day', () => {
+    const limiter = new RateLimiter({ quietHours: '01:00-03:00' });
+    assert.equal(limiter.getQuietWaitMs(at(2)), 60 * 60000);
+    assert.equal(limiter.getQuietWaitMs(at(0, 59)), 0);
+    assert.equal(limiter.getQuietWaitMs(at(3)), 0);
+    assert.equal(new RateLimiter().getQuietWaitMs(at(2)), 0);
+});
+
+test('the per-minute ceiling sets the minimum gap', () => {
+    assert.equal(new RateLimiter({ requestsPerMinute: 30, baseDelayMs: 500 }).getInterval(), 2000);
+    assert.equal(new RateLimiter({ requestsPerMinute: 30, baseDelayMs: 3000 }).getInterval(), 3000);
+    assert.equal(new RateLimiter({ baseDelayMs: 0 }).getInterval(), 0);
+});
+
+test('throttling failures back off, other failures do not', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const limiter = new RateLimiter({ baseDelayMs: 1000, maxDelayMs: 3000 });
+    assert.equal(limiter.reportFailure(new Error('Could not find VIN input field')), false);
+    assert.equal(limiter.currentDelayMs, 1000);
+    assert.equal(limiter.reportFailure(new Error('Request timeout after 60 seconds')), true);
+    assert.equal(limiter.currentDelayMs, 2000);
+    limiter.reportStatus(429);
+    assert.equal(limiter.currentDelayMs, 3000); // Capped at maxDelayMs
+    limiter.reportStatus(404);
+    assert.equal(limiter.currentDelayMs, 3000);
+});
+
+test('a streak of healthy responses speeds back up to the minimum delay', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const limiter = new RateLimiter({ baseDelayMs: 1000, healthyStreakToRecover: 2 });
+    limiter.reportStatus(503);
+    assert.equal(limiter.currentDelayMs, 2000);
+    limiter.reportSuccess();
+    assert.equal(limiter.currentDelayMs, 2000);
+    limiter.reportSuccess();
+    assert.equal(limiter.currentDelayMs, 1600);
+    for (let i = 0; i < 20; i++) {
+        limiter.reportSuccess();
+    }
+    assert.equal(limiter.currentDelayMs, 500); // minDelayMs defaults to half the base delay
+});
+
+test('the hourly cap holds requests once reached', () => {
+    const limiter = new RateLimiter({ maxPerHour: 2 });
+    assert.equal(limiter.getHourlyCapWaitMs(), 0);
+    limiter.recentRequests = [Date.now() - 10 * 60000, Date.now()];
+    const waitMs = limiter.getHourlyCapWaitMs();
+    assert.ok(waitMs > 49 * 60000 && waitMs <= 50 * 60000);
+    assert.match(limiter.getBlockedReason(), /hourly limit of 2 requests/);
+});
@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const Scheduler = require('../lib/scheduler');
+const { parseCron, matchesCron, getNextRun, resolveScheduleFile } = Scheduler;
+
+// October 2026: the 1st is a Thursday, the 18th a Sunday, the 19th a Monday, the 20th a Tuesday
+const at = (day, hour = 6, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+test('parseCron expands lists, ranges, steps and names', () => {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parseCron('0,30 8-10 */10 JAN,jul MON-FRI');
+    assert.deepEqual([...minute.values], [0, 30]);
+    assert.deepEqual([...hour.values], [8, 9, 10]);
+    assert.deepEqual([...dayOfMonth.values], [1, 11, 21, 31]);
+    assert.deepEqual([...month.values], [1, 7]);
+    assert.deepEqual([...dayOfWeek.values], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron accepts aliases and Sunday as 7', () => {
+    assert.deepEqual([...parseCron('@daily')[1].values], [0]);
+    assert.ok(parseCron('0 6 * * 7')[4].values.has(0));
+});
+
+test('parseCron rejects invalid expressions', () => {
+    assert.throws(() => parseCron('* * *'), /expected 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /Invalid minute/);
+    assert.throws(() => parseCron('0 6 * * FUNDAY'), /Invalid day of week/);
+    assert.throws(() => parseCron('0 6 10-5 * *'), /Invalid day of month/);
+    assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute/);
+});
+
+test('matchesCron checks minute, hour and month', () => {
+    assert.equal(matchesCron('*/15 6 * * *', at(5, 6, 30)), true);
+    assert.equal(matchesCron('*/15 6 * * *', at(5, 6, 31)), false);
+    assert.equal(matchesCron('*/15 6 * * *', at(5, 7, 30)), false);
+    assert.equal(matchesCron('0 6 * NOV *', at(5)), false);
+    assert.equal(matchesCron('not a cron', at(5)), false);
+});
+
+test('either day field matches when both are restricted', () => {
+    assert.equal(matchesCron('0 6 1 * MON', at(1)), true); // Thursday the 1st
+    assert.equal(matchesCron('0 6 1 * MON', at(19)), true); // Monday
+    assert.equal(matchesCron('0 6 1 * MON', at(20)), false);
+});
+
+test('a day field starting with * does not restrict the other one', () => {
+    // Only odd days that are also Tuesdays
+    assert.equal(matchesCron('0 6 */2 * TUE', at(20)), false); // Tuesday, even day
+    assert.equal(matchesCron('0 6 */2 * TUE', at(21)), false); // odd day, Wednesday
+    assert.equal(matchesCron('0 6 */2 * TUE', at(27)), true);
+    assert.equal(matchesCron('0 6 * * TUE', at(20)), true);
+    assert.equal(matchesCron('0 6 15 * *', at(15)), true);
+});
+
+test('getNextRun finds the next matching minute', () => {
+    assert.equal(getNextRun('0 6 * * MON', at(18, 12)), at(19).toISOString());
+    assert.equal(getNextRun('0 6 */2 * TUE', at(18, 12)), at(27).toISOString());
+    assert.equal(getNextRun('30 * * * *', at(18, 12, 30)), at(18, 13, 30).toISOString());
+    assert.equal(getNextRun('0 0 31 2 *', at(18)), null);
+    assert.equal(getNextRun('bad', at(18)), null);
+});
+
+test('watched paths must stay inside the watch root', () => {
+    const watchRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+    const scheduler = new Scheduler(path.join(watchRoot, 'schedules.json'), { watchRoot });
+    try {
+        assert.equal(scheduler.resolveWatchPath('exports'), path.join(watchRoot, 'exports'));
+        assert.throws(() => scheduler.resolveWatchPath('../elsewhere'), /must be inside/);
+        assert.throws(() => scheduler.resolveWatchPath('/etc'), /must be inside/);
+        assert.throws(() => new Scheduler(path.join(watchRoot, 'other.json')).resolveWatchPath('exports'), /turned off/);
+
+        fs.writeFileSync(path.join(watchRoot, 'old.xlsx'), '');
+        fs.writeFileSync(path.join(watchRoot, 'new.csv'), '');
+        fs.utimesSync(path.join(watchRoot, 'old.xlsx'), new Date(2020, 0, 1), new Date(2020, 0, 1));
+        assert.equal(resolveScheduleFile({ watchPath: watchRoot }, watchRoot).fileName, 'new.csv');
+        assert.throws(() => resolveScheduleFile({ watchPath: os.tmpdir() }, watchRoot), /outside the allowed folder/);
+        assert.throws(() => resolveScheduleFile({ watchPath: watchRoot }, null), /outside the allowed folder/);
+    } finally {
+        fs.rmSync(watchRoot, { recursive: true, force: true });
+    }
+});
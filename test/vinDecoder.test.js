@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const VinDecoder = require('../lib/vinDecoder');
+
+const decoder = new VinDecoder({ now: () => new Date(2026, 9, 18) });
+
+test('decode reads make, year and Ford model', () => {
+    assert.deepEqual(decoder.decode('1FTEW1EP0JFA00000'), {
+        wmi: '1FT',
+        make: 'Ford',
+        manufacturer: 'Ford Motor Company',
+        year: 2018,
+        model: 'F-150'
+    });
+    assert.equal(decoder.decode('1fmcu0gd8hua00001').model, 'Escape');
+    assert.equal(decoder.decode('1G1ZD5ST0JF000000').model, null); // Models are only decoded for Ford Motor Company
+});
+
+test('North American VINs tell the year cycles apart by position 7', () => {
+    assert.equal(decoder.decodeYear('1FTPW14V88KA00000'), 2008); // Digit in position 7
+    assert.equal(decoder.decodeYear('1FTEW1EP0JFA00000'), 2018); // Letter in position 7
+    assert.equal(decoder.decodeYear('1FTEW1440JFA00000'), 1988);
+});
+
+test('other VINs get the latest year that is not past next year', () => {
+    assert.equal(decoder.decodeYear('WF0XXXGCD8A000000'), 2008);
+    assert.equal(decoder.decodeYear('WDB000000A0000000'), 2010);
+    assert.equal(decoder.decodeYear('WDB000000V0000000'), 2027);
+    assert.equal(decoder.decodeYear('WDB000000U0000000'), null); // U is never a year code
+    assert.equal(decoder.decodeYear('1FTEW1EP0'), null);
+});
+
+test('model patterns limited to some years', () => {
+    assert.equal(decoder.decode('1FTYR1CD0BPA00000').model, 'Ranger'); // 2011
+    assert.equal(decoder.decode('1FTER4FH0KLA00000').model, 'Ranger'); // 2019
+    assert.equal(decoder.decode('1FTNE2EW0EDA00000').model, 'E-250'); // 2014
+    assert.equal(decoder.decode('1FTYE2CM0FKA00000').model, 'Transit'); // 2015
+});
+
+test('findMismatches flags values the VIN contradicts', () => {
+    const decoded = decoder.decode('1FTEW1EP0JFA00000');
+    assert.deepEqual(decoder.findMismatches(decoded, { year: '2018', model: 'F150 XLT', manufacturer: 'FORD' }), []);
+    assert.deepEqual(decoder.findMismatches(decoded, { year: 2017, model: 'Escape', manufacturer: 'Chevy' }), [
+        'YEAR 2017 (VIN: 2018)',
+        'MANUFACTURER Chevy (VIN: Ford)',
+        'MODEL Escape (VIN: F-150)'
+    ]);
+});
+
+test('findMismatches accepts aliases and ignores blanks', () => {
+    assert.deepEqual(decoder.findMismatches(decoder.decode('1G1ZD5ST0JF000000'), { manufacturer: 'Chevy' }), []);
+    assert.deepEqual(decoder.findMismatches(decoder.decode('1FM5K8AR0JGA00000'), { model: 'PIU' }), []);
+    assert.deepEqual(decoder.findMismatches(decoder.decode('9ZZ0000000J000000'), { year: '', model: 'Anything', manufacturer: 'Acme' }), []);
+});
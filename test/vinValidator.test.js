@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const VinValidator = require('../lib/vinValidator');
+const { REASON_CODES, normalizeVin, computeCheckDigit, suggestCheckDigitFixes, MAX_SUGGESTIONS } = VinValidator;
+
+const validator = new VinValidator();
+
+test('normalizeVin drops case, spaces and separators', () => {
+    assert.equal(normalizeVin(' 1ftfw1et9-dfc10312 '), '1FTFW1ET9DFC10312');
+    assert.equal(normalizeVin('1FT FW1_ET9.DFC 10312'), '1FTFW1ET9DFC10312');
+    assert.equal(normalizeVin(null), '');
+});
+
+test('computeCheckDigit follows the position weights', () => {
+    assert.equal(computeCheckDigit('1FTEW1EP0JFA00000'), '0');
+    assert.equal(computeCheckDigit('1FTFW1ET9DFC10312'), '9');
+    assert.equal(computeCheckDigit('1M8GDM9AXKP042788'), 'X');
+});
+
+test('valid North American VINs pass', () => {
+    assert.deepEqual(validator.validate('1ftfw1et9-dfc10312'), {
+        vin: '1FTFW1ET9DFC10312',
+        valid: true,
+        code: null,
+        reason: null,
+        suggestions: []
+    });
+    assert.equal(validator.validate('1M8GDM9AXKP042788').valid, true);
+});
+
+test('VINs from outside North America skip the check digit', () => {
+    ['WF0XXXGCD8A000000', 'WDB9066331S000000', 'JTDBR32E320000000', 'MAJ6S3GL0KC000000'].forEach(vin => {
+        assert.equal(validator.validate(vin).valid, true, vin);
+    });
+});
+
+test('length and character problems get their reason codes', () => {
+    assert.equal(validator.validate('').code, REASON_CODES.EMPTY);
+    assert.equal(validator.validate('1FT123').code, REASON_CODES.TOO_SHORT);
+    assert.equal(validator.validate('1FTEW1EP0JFA0000').code, REASON_CODES.WRONG_LENGTH);
+    assert.equal(validator.validate('1FTEW1EP0JFA0000!').code, REASON_CODES.INVALID_CHARACTERS);
+});
+
+test('I, O and Q are replaced in the suggestion', () => {
+    const check = validator.validate('1FTEW1EP0JFAOOOOO');
+    assert.equal(check.code, REASON_CODES.EXCLUDED_LETTER);
+    assert.deepEqual(check.suggestions, ['1FTEW1EP0JFA00000']);
+    assert.deepEqual(validator.validate('WF0XXXGCD8AOOOOOO').suggestions, ['WF0XXXGCD8A000000']);
+});
+
+test('a wrong check digit is rejected with corrections', () => {
+    const check = validator.validate('1FTEW1EP0FJA00000');
+    assert.equal(check.valid, false);
+    assert.equal(check.code, REASON_CODES.CHECK_DIGIT);
+    assert.match(check.reason, /is 0 but the VIN works out to 5/);
+    assert.ok(check.suggestions.includes('1FTEW1EP0JFA00000'));
+});
+
+test('VIN_CHECK_DIGIT=false accepts a wrong check digit', () => {
+    assert.equal(new VinValidator({ checkDigit: false }).validate('1FTEW1EP0FJA00000').valid, true);
+});
+
+test('suggestions are ranked swaps, look-alikes, other characters, then the check digit', () => {
+    // Swapped neighbours (FJ/JF) come before look-alikes (1 -> L), and the check digit fix is always last
+    assert.deepEqual(suggestCheckDigitFixes('1FTEW1EP0FJA00000'), [
+        '1FTE1WEP0FJA00000',
+        '1FTEW1PE0FJA00000',
+        '1FTEW1EP0JFA00000',
+        '1FTEWLEP0FJA00000',
+        '1FTEW1EP5FJA00000'
+    ]);
+
+    // Nothing but single-character replacements fixes this one
+    const suggestions = suggestCheckDigitFixes('1FTEW1EP0JFA00009');
+    assert.ok(suggestions.includes('15TEW1EP0JFA00009'));
+    assert.equal(suggestions[suggestions.length - 1], '1FTEW1EP7JFA00009');
+});
+
+test('suggestions are capped, valid and North American', () => {
+    ['1FTEW1EP5JFA00000', '1FTEW1EP0JFA00009', '1FMCU0GD8HUA00002'].forEach(vin => {
+        const suggestions = suggestCheckDigitFixes(vin);
+        assert.ok(suggestions.length > 0 && suggestions.length <= MAX_SUGGESTIONS, vin);
+        assert.equal(new Set(suggestions).size, suggestions.length);
+        suggestions.forEach(suggestion => {
+            assert.equal(validator.validate(suggestion).valid, true, suggestion);
+            assert.match(suggestion, /^[1-5]/);
+        });
+    });
+});
@@ -0,0 +1,29 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const WmiTable = require('../lib/wmi');
+const { parseWmiOverrides } = WmiTable;
+
+test('lookup maps the first three VIN characters to a make', () => {
+    const table = new WmiTable();
+    assert.deepEqual(table.lookup('1FTEW1EP0JFA00000'), { code: '1FT', make: 'Ford', manufacturer: 'Ford Motor Company' });
+    assert.equal(table.lookup('wf0xxxgcdx8a00000').make, 'Ford');
+    assert.equal(table.lookup('5LMJJ2LT1KEL00000').make, 'Lincoln');
+    assert.equal(table.lookup('1G1ZD5ST0JF000000').manufacturer, 'General Motors');
+});
+
+test('lookup returns nulls for unknown WMIs', () => {
+    assert.deepEqual(new WmiTable().lookup('9ZZ00000000000000'), { code: '9ZZ', make: null, manufacturer: null });
+    assert.deepEqual(new WmiTable().lookup(''), { code: '', make: null, manufacturer: null });
+});
+
+test('parseWmiOverrides keeps well-formed entries only', () => {
+    const overrides = parseWmiOverrides('1zz=Ford, 9BF = Ford, bad, IOQ=Ford, 2AB=');
+    assert.deepEqual([...overrides], [['1ZZ', 'Ford'], ['9BF', 'Ford']]);
+    assert.equal(parseWmiOverrides(undefined).size, 0);
+});
+
+test('overrides win over the table and known makes keep their spelling', () => {
+    const table = new WmiTable({ overrides: '1ZZ=ford, 1FT=Custom Upfitter' });
+    assert.deepEqual(table.lookup('1ZZ00000000000000'), { code: '1ZZ', make: 'Ford', manufacturer: 'Ford Motor Company' });
+    assert.deepEqual(table.lookup('1FT00000000000000'), { code: '1FT', make: 'Custom Upfitter', manufacturer: 'Custom Upfitter' });
+});